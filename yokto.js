@@ -7,37 +7,341 @@
  *   - vNode Chained: $c
  *   - vNode creation: $v
  *   - Mount vNode: _
+ *   - Keyed diff/patch: render, vNode._.patch
+ *   - Reactive state: signal, computed, effect, vNode._.bind
+ *   - Events: delegated/namespaced on, off, trigger (vNode, vNodeList, $c)
+ *   - Lifecycle: vNode._.onMount, onUnmount, destroy (shared MutationObservers)
+ *   - Batched DOM writes: flush, nextTick, measure, mutate, sync
+ *   - Components: component (props, state, slots), define (Custom Elements)
+ *   - Templates: html`` tagged templates (@event, .prop, ?bool bindings)
+ *   - Safe HTML: sanitize, vNode._.html, $c().html (allowlist sanitizer, Trusted Types)
+ *   - Forms: form (serialize, populate, two-way binding, validation)
+ *   - Server-side rendering: renderToString, hydrate (DOM-free mode when there is no document)
  *   - Helpers: __, _$, Logger
  *   - DOM ready: $$ (as a DOM ready function)
- *   - HTTP Clients: RESTClient, GraphQLClient, RESTAdapter, GraphQLAdapter
- *   - WebSocket Client: WSClient
+ *   - HTTP Clients: RESTClient, GraphQLClient, RESTAdapter, GraphQLAdapter (+ interceptors, authRefresh)
+ *   - WebSocket Client: WSClient (offline queue, heartbeats, JSON mode, request/subscribe RPC)
+ *   - Server-sent events Client: SSEClient
  *   - Inline style helper: $s
- *   - Hash router: $h, $a
+ *   - Router (hash or history mode): $h, $a
  */
 
 // Configuration
 const yokto = {
     config: {
         observeDOM: true, // Enable MutationObserver for cache invalidation
-        MAX_CACHE_SIZE: 100
+        MAX_CACHE_SIZE: 100,
+        batchDOM: true, // Apply vNode attr/text/class/style writes once per animation frame (false: immediately)
+        trustedTypesPolicy: null, // Trusted Types policy for sanitized HTML (default: a "yokto" policy when supported)
+        routerMode: 'hash', // 'hash' (#/path) or 'history' (pushState, /path)
+        routerBase: '' // Path prefix stripped/prepended in history mode, e.g. '/app'
     }
 };
 
+/* ------------------------------------------------------------------
+ * DOM-free (server) mode
+ * ------------------------------------------------------------------ */
+
+// Without a DOM (e.g. in Node), vNodes are backed by this minimal element implementation,
+// just enough for $v, the vNode API and renderToString.
+const hasDOM = typeof document !== 'undefined' && typeof window !== 'undefined';
+
+class ServerNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+    get parentElement() { return this.parentNode; }
+    get isConnected() { return false; }
+    get textContent() {
+        return this.nodeType === 3 ? this.nodeValue : this.childNodes.map(c => c.textContent).join('');
+    }
+    set textContent(value) {
+        if (this.nodeType === 3) { this.nodeValue = String(value); return; }
+        this.childNodes.slice().forEach(c => c.remove());
+        if (value !== null && value !== undefined && value !== '') this.append(String(value));
+    }
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+    replaceWith(node) {
+        if (!this.parentNode) return;
+        this.parentNode.insertBefore(node, this);
+        this.remove();
+    }
+    addEventListener() {}
+    removeEventListener() {}
+    dispatchEvent() { return true; }
+}
+
+class ServerText extends ServerNode {
+    constructor(text) {
+        super(3);
+        this.nodeValue = String(text);
+    }
+}
+
+class ServerElement extends ServerNode {
+    constructor(tag) {
+        super(1);
+        this.tagName = tag.toUpperCase();
+        this.attrMap = new Map();
+        // Inline style writes are mirrored to the style attribute, as in the browser.
+        this.style = new Proxy({}, {
+            set: (target, prop, value) => {
+                target[prop] = value;
+                const css = Object.entries(target)
+                    .filter(([, v]) => v !== '' && v !== null && v !== undefined)
+                    .map(([k, v]) => `${k.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: ${v};`).join(' ');
+                css ? this.attrMap.set('style', css) : this.attrMap.delete('style');
+                return true;
+            }
+        });
+        const classes = () => (this.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        const setClasses = list => this.setAttribute('class', [...new Set(list)].join(' '));
+        this.classList = {
+            add: (...names) => setClasses([...classes(), ...names]),
+            remove: (...names) => setClasses(classes().filter(c => !names.includes(c))),
+            contains: name => classes().includes(name),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes().includes(name) : !!force;
+                on ? this.classList.add(name) : this.classList.remove(name);
+                return on;
+            }
+        };
+    }
+    get attributes() { return [...this.attrMap].map(([name, value]) => ({ name, value })); }
+    get children() { return this.childNodes.filter(c => c.nodeType === 1); }
+    set innerText(value) { this.textContent = value; }
+    getAttribute(name) { return this.attrMap.has(name) ? this.attrMap.get(name) : null; }
+    setAttribute(name, value) { this.attrMap.set(name, String(value)); }
+    removeAttribute(name) { this.attrMap.delete(name); }
+    hasAttribute(name) { return this.attrMap.has(name); }
+    insertBefore(node, ref) {
+        node.remove();
+        const idx = ref ? this.childNodes.indexOf(ref) : -1;
+        idx === -1 ? this.childNodes.push(node) : this.childNodes.splice(idx, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+    append(...nodes) {
+        nodes.forEach(node => this.insertBefore(typeof node === 'object' ? node : new ServerText(node), null));
+    }
+    prepend(...nodes) {
+        const first = this.childNodes[0] || null;
+        nodes.forEach(node => this.insertBefore(typeof node === 'object' ? node : new ServerText(node), first));
+    }
+    contains(node) {
+        for (; node; node = node.parentNode) if (node === this) return true;
+        return false;
+    }
+    closest() { return null; }
+    querySelector() { return null; }
+    querySelectorAll() { return []; }
+}
+
+const serverDocument = {
+    readyState: 'complete',
+    body: null,
+    location: { hash: '', pathname: '/', search: '', origin: '' },
+    createElement: tag => new ServerElement(tag),
+    createTextNode: text => new ServerText(text),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+};
+
 /* Aliases */
-const $doc = document;
-const $win = window;
+const $doc = hasDOM ? document : serverDocument;
+const $win = hasDOM ? window : { addEventListener() {}, removeEventListener() {} };
 const $loc = $doc.location;
 const n = ($win.requestAnimationFrame || (fn => setTimeout(fn, 16))).bind($win);
+const isDOMNode = obj => !!obj && typeof obj === 'object' && typeof obj.nodeType === 'number';
 
 // Helper for object check
 const __ = obj => obj !== null && typeof obj === 'object' && !Array.isArray(obj);
 
+// Adds an item to a registry list and returns a function removing it again
+const _register = (list, item) => {
+    list.push(item);
+    return () => {
+        const idx = list.indexOf(item);
+        if (idx !== -1) list.splice(idx, 1);
+    };
+};
+
+/* ------------------------------------------------------------------
+ * DOM Write Scheduler
+ * ------------------------------------------------------------------ */
+
+// Queued writes grouped by element, so one element's writes can be applied early when it is read back.
+const pendingWrites = new Map();
+const pendingReads = [];
+const tickWaiters = [];
+// Key for writes queued through mutate(), which belong to no particular element
+const globalWrites = {};
+let frameRequested = false;
+let syncDepth = 0;
+
+const _batching = () => hasDOM && yokto.config.batchDOM !== false && syncDepth === 0;
+
+const _requestFrame = () => {
+  if (frameRequested) return;
+  frameRequested = true;
+  n(() => flush());
+};
+
+const _runJob = job => {
+  try { job(); } catch (err) { defaultLogger.error('Scheduled DOM job failed', err); }
+};
+
+// Queues a write to `elem` for the next frame, or runs it now when batching is off.
+const _write = (elem, job) => {
+  if (!_batching()) return job();
+  if (!pendingWrites.has(elem)) pendingWrites.set(elem, []);
+  pendingWrites.get(elem).push(job);
+  _requestFrame();
+};
+
+// Applies the queued writes of one element now, before it is read back or its children change.
+const _flushNode = elem => {
+  const jobs = pendingWrites.get(elem);
+  if (!jobs) return;
+  pendingWrites.delete(elem);
+  jobs.forEach(_runJob);
+};
+
+/**
+ * Runs every queued read, then every queued write, without waiting for the next frame.
+ * Jobs queued while flushing run in the same flush.
+ */
+const flush = () => {
+  frameRequested = false;
+  while (pendingReads.length || pendingWrites.size) {
+    pendingReads.splice(0).forEach(_runJob);
+    [...pendingWrites.keys()].forEach(_flushNode);
+  }
+  tickWaiters.splice(0).forEach(resolve => resolve());
+};
+
+/**
+ * Resolves once the queued DOM writes have been applied.
+ * @returns {Promise<void>}
+ */
+const nextTick = () => new Promise(resolve => {
+  tickWaiters.push(resolve);
+  _requestFrame();
+});
+
+/**
+ * Queues a DOM read (e.g. offsetHeight) for the read phase of the next frame, before any write.
+ * @param {Function} fn - The read
+ * @returns {Promise<*>} - Resolves with what `fn` returned
+ */
+const measure = fn => new Promise((resolve, reject) => {
+  pendingReads.push(() => { try { resolve(fn()); } catch (err) { reject(err); } });
+  _requestFrame();
+});
+
+/**
+ * Queues a DOM write for the write phase of the next frame.
+ * @param {Function} fn - The write
+ * @returns {Promise<*>} - Resolves with what `fn` returned
+ */
+const mutate = fn => new Promise((resolve, reject) => {
+  _write(globalWrites, () => { try { resolve(fn()); } catch (err) { reject(err); } });
+});
+
+/**
+ * Flushes queued writes, then runs `fn` with vNode writes applied immediately.
+ * @param {Function} fn - Code that needs the DOM up to date as it goes
+ * @returns {*} - What `fn` returned
+ */
+const sync = fn => {
+  flush();
+  syncDepth++;
+  try { return fn(); } finally { syncDepth--; }
+};
+
 /* ------------------------------------------------------------------
  * vNode Engine Core
  * ------------------------------------------------------------------ */
 
 // A cache to avoid re-wrapping the same element into a new vNode
 const vNodeCache = new WeakMap();
+// Listeners, bindings and lifecycle hooks owned by each wrapped element (read by hydrate and _destroy)
+const vNodeState = new WeakMap();
+
+// One observer for all vNodes keeps `attrs` in sync with attribute changes made outside the vNode.
+// MutationObserver cannot unobserve a single target, so destroyed elements are simply ignored.
+const attrObserver = typeof MutationObserver !== 'undefined' && new MutationObserver(records => {
+  records.forEach(record => vNodeState.get(record.target)?.syncAttr(record.attributeName));
+});
+
+// Number of elements with onMount/onUnmount hooks; the document is only watched while it is non-zero.
+let lifecycleCount = 0;
+
+const _runHooks = (state, kind) => {
+  state.hooks[kind].slice().forEach(fn => {
+    try { fn(state.vNode); } catch (err) { defaultLogger.error(`${kind} hook failed`, err); }
+  });
+};
+
+// Fires mount/unmount hooks for `node` and its descendants whose connected state changed.
+// Checking isConnected (rather than the record type) makes a move within the document a no-op.
+const _syncLifecycle = node => {
+  if (node.nodeType !== 1) return;
+  [node, ...node.querySelectorAll('*')].forEach(el => {
+    const state = vNodeState.get(el);
+    if (!state || !state.hooks || state.mounted === el.isConnected) return;
+    state.mounted = el.isConnected;
+    _runHooks(state, state.mounted ? 'mount' : 'unmount');
+  });
+};
+
+const mountObserver = typeof MutationObserver !== 'undefined' && new MutationObserver(records => {
+  records.forEach(record => {
+    record.removedNodes.forEach(_syncLifecycle);
+    record.addedNodes.forEach(_syncLifecycle);
+  });
+});
+
+const _addHook = (elem, kind, fn) => {
+  const state = vNodeState.get(elem);
+  if (!state) return;
+  if (!state.hooks) {
+    state.hooks = { mount: [], unmount: [] };
+    state.mounted = elem.isConnected;
+    if (lifecycleCount++ === 0 && mountObserver) mountObserver.observe($doc, { childList: true, subtree: true });
+  }
+  state.hooks[kind].push(fn);
+  if (kind === 'mount' && state.mounted) _runHooks({ vNode: state.vNode, hooks: { mount: [fn] } }, 'mount');
+};
+
+/**
+ * Releases everything a wrapped element owns: listeners added with _.on, bindings and lifecycle hooks
+ * (onUnmount runs first if the element was mounted). The element itself stays where it is.
+ */
+const _destroy = elem => {
+  const state = vNodeState.get(elem);
+  if (!state) return;
+  vNodeState.delete(elem);
+  vNodeCache.delete(elem);
+  _off(elem, state.listeners);
+  state.bindings.splice(0).forEach(b => b.dispose());
+  if (state.hooks) {
+    if (state.mounted) _runHooks(state, 'unmount');
+    state.hooks = null;
+    if (--lifecycleCount === 0 && mountObserver) mountObserver.disconnect();
+  }
+  const instance = componentInstances.get(elem);
+  if (instance) instance.dispose();
+};
 
 const _toVNode = (elem) => {
   if (vNodeCache.has(elem)) {
@@ -45,24 +349,23 @@ const _toVNode = (elem) => {
   }
 
   const tag = elem.tagName.toLowerCase();
-  let isUpdatingFromVNode = false;
   const rawAttrs = {};
+  const bindings = [];
+  const listeners = [];
+  const state = { bindings, listeners, hooks: null, mounted: false };
+  vNodeState.set(elem, state);
 
   const attrsProxy = new Proxy(rawAttrs, {
     set: (target, prop, value) => {
       if (target[prop] === value) return true;
       target[prop] = value;
-      isUpdatingFromVNode = true;
-      elem.setAttribute(prop, value);
-      Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+      _write(elem, () => elem.setAttribute(prop, value));
       return true;
     },
     deleteProperty: (target, prop) => {
       if (!(prop in target)) return true;
       delete target[prop];
-      isUpdatingFromVNode = true;
-      elem.removeAttribute(prop);
-      Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+      _write(elem, () => elem.removeAttribute(prop));
       return true;
     }
   });
@@ -84,78 +387,83 @@ const _toVNode = (elem) => {
     },
     _: {
       append: (child) => {
-        isUpdatingFromVNode = true;
-        const childElem = child?.$?.node || document.createTextNode(child);
+        _flushNode(elem); // a queued text write would wipe the new child
+        const childElem = child?.$?.node || $doc.createTextNode(child);
         elem.append(childElem);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
         return vNode;
       },
       prepend: (child) => {
-        isUpdatingFromVNode = true;
-        const childElem = child?.$?.node || document.createTextNode(child);
+        _flushNode(elem);
+        const childElem = child?.$?.node || $doc.createTextNode(child);
         elem.prepend(childElem);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
         return vNode;
       },
       remove: () => {
-        isUpdatingFromVNode = true;
+        _flushNode(elem);
         elem.remove();
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+        vNode._.destroy();
       },
+      destroy: () => {
+        // Wrapped descendants own listeners and bindings too (e.g. rows of a removed table)
+        elem.querySelectorAll('*').forEach(_destroy);
+        _destroy(elem);
+        return vNode;
+      },
+      onMount: (fn) => { _addHook(elem, 'mount', fn); return vNode; },
+      onUnmount: (fn) => { _addHook(elem, 'unmount', fn); return vNode; },
       addClasses: (...names) => {
-        isUpdatingFromVNode = true;
-        elem.classList.add(...names);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+        _write(elem, () => elem.classList.add(...names));
         return vNode;
       },
       removeClasses: (...names) => {
-        isUpdatingFromVNode = true;
-        elem.classList.remove(...names);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+        _write(elem, () => elem.classList.remove(...names));
         return vNode;
       },
       toggleClass: (name, force) => {
-        isUpdatingFromVNode = true;
-        elem.classList.toggle(name, force);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+        _write(elem, () => elem.classList.toggle(name, force));
         return vNode;
       },
       css: (styles) => {
-        isUpdatingFromVNode = true;
-        Object.assign(elem.style, styles);
-        Promise.resolve().then(() => { isUpdatingFromVNode = false; });
+        styles = { ...styles };
+        _write(elem, () => Object.assign(elem.style, styles));
+        return vNode;
+      },
+      on: (event, selector, handler, options) => { _on(elem, listeners, event, selector, handler, options); return vNode; },
+      off: (event, selector, handler) => { _off(elem, listeners, event, selector, handler); return vNode; },
+      trigger: (event, detail) => { _trigger(elem, event, detail); return vNode; },
+      patch: (newTree) => sync(() => _patch(vNode, newTree)),
+      bind: (target, source) => { bindings.push({ target, source, owner: renderOwner, dispose: _bind(vNode, target, source) }); return vNode; },
+      html: (markup, options) => {
+        _flushNode(elem);
+        if (markup === undefined) return _innerHTML(elem);
+        const clean = _sanitizeTree(markup, options);
+        elem.querySelectorAll('*').forEach(_destroy);
+        elem.textContent = '';
+        Array.from(clean.childNodes).forEach(node => elem.append(node));
         return vNode;
       },
-      on: (event, handler) => { elem.addEventListener(event, handler); return vNode; },
-      off: (event, handler) => { elem.removeEventListener(event, handler); return vNode; },
     }
   };
 
   Object.defineProperty(vNode, 'text', {
-    get() { return elem.textContent; },
-    set(newValue) {
-      isUpdatingFromVNode = true;
-      elem.textContent = newValue;
-      Promise.resolve().then(() => { isUpdatingFromVNode = false; });
-    }
+    get() { _flushNode(elem); return elem.textContent; },
+    set(newValue) { _write(elem, () => { elem.textContent = newValue; }); }
   });
 
-  const observer = new MutationObserver((mutationsList) => {
-    if (isUpdatingFromVNode) return;
-    for (const mutation of mutationsList) {
-      if (mutation.type === 'attributes') {
-        const attrName = mutation.attributeName;
-        const newValue = elem.getAttribute(attrName);
-        if (newValue === null) {
-          if (rawAttrs[attrName] !== undefined) delete rawAttrs[attrName];
-        } else {
-          if (rawAttrs[attrName] !== newValue) rawAttrs[attrName] = newValue;
-        }
-      }
+  state.vNode = vNode;
+  // The DOM is the source of truth, so echoes of our own writes are no-ops. While writes are still
+  // queued for the element, copying the DOM now would undo them: check again once they have run.
+  state.syncAttr = (attrName) => {
+    if (pendingWrites.has(elem)) return _write(elem, () => state.syncAttr(attrName));
+    const newValue = elem.getAttribute(attrName);
+    if (newValue === null) {
+      if (rawAttrs[attrName] !== undefined) delete rawAttrs[attrName];
+    } else {
+      if (rawAttrs[attrName] !== newValue) rawAttrs[attrName] = newValue;
     }
-  });
+  };
 
-  observer.observe(elem, { attributes: true, childList: true, subtree: true });
+  if (attrObserver) attrObserver.observe(elem, { attributes: true });
 
   for (const attr of elem.attributes) {
     rawAttrs[attr.name] = attr.value;
@@ -169,23 +477,217 @@ const vNodeList = (nodes = []) => {
   const list = [...nodes];
   const methods = {
     each: (callback) => { list.forEach(callback); return list; },
-    map: (callback) => vNodeList(list.map(callback)),
-    filter: (callback) => vNodeList(list.filter(callback)),
-    reduce: (callback, initial) => list.reduce(callback, initial),
-    on: (event, handler) => { list.each(v => v._.on(event, handler)); return list; },
-    off: (event, handler) => { list.each(v => v._.off(event, handler)); return list; },
+    map: (callback) => vNodeList(Array.prototype.map.call(list, callback)),
+    filter: (callback) => vNodeList(Array.prototype.filter.call(list, callback)),
+    reduce: (callback, initial) => Array.prototype.reduce.call(list, callback, initial),
+    on: (...args) => { list.each(v => v._.on(...args)); return list; },
+    off: (...args) => { list.each(v => v._.off(...args)); return list; },
+    trigger: (event, detail) => { list.each(v => v._.trigger(event, detail)); return list; },
     addClasses: (...names) => { list.each(v => v._.addClasses(...names)); return list; },
     removeClasses: (...names) => { list.each(v => v._.removeClasses(...names)); return list; },
     toggleClass: (name, force) => { list.each(v => v._.toggleClass(name, force)); return list; },
     css: (styles) => { list.each(v => v._.css(styles)); return list; },
     remove: () => { list.each(v => v._.remove()); return list; },
+    destroy: () => { list.each(v => v._.destroy()); return list; },
     first: () => list[0],
     last: () => list[list.length - 1],
   };
+  // Keep native array methods (forEach, indexOf, ...) reachable behind the list methods.
+  Object.setPrototypeOf(methods, Array.prototype);
   Object.setPrototypeOf(list, methods);
   return list;
 };
 
+/* ------------------------------------------------------------------
+ * Events
+ * ------------------------------------------------------------------ */
+
+// Splits 'click.menu keyup' into [{ type: 'click', ns: ['menu'] }, { type: 'keyup', ns: [] }].
+const _parseEvents = events => String(events || '').split(/\s+/).filter(Boolean).map(e => {
+  const [type, ...ns] = e.split('.');
+  return { type, ns };
+});
+
+/**
+ * Adds a listener to `elem`, recorded in `registry` so it can be removed by namespace or selector.
+ * With a `selector`, the handler only runs for events coming from matching descendants;
+ * it is called with `this` set to the matched element and its vNode as second argument.
+ * `options.once` is honoured per matching call, `capture`/`passive` are passed through.
+ */
+const _on = (elem, registry, events, selector, handler, options = {}) => {
+  if (typeof selector === 'function') {
+    options = handler || {};
+    handler = selector;
+    selector = null;
+  }
+  if (typeof handler !== 'function') throw new Error('Invalid event handler');
+  const { once = false, capture = false, passive } = typeof options === 'boolean' ? { capture: options } : options;
+
+  _parseEvents(events).forEach(({ type, ns }) => {
+    const entry = { type, ns, selector, handler, capture, options: { once, capture, passive }, owner: renderOwner };
+    entry.listener = function (e) {
+      let target = this;
+      if (selector) {
+        target = e.target && e.target.closest ? e.target.closest(selector) : null;
+        if (!target || !elem.contains(target)) return;
+      }
+      if (once) _removeEntry(elem, registry, entry);
+      return handler.call(target, e, _toVNode(target));
+    };
+    registry.push(entry);
+    elem.addEventListener(type, entry.listener, { capture, passive });
+  });
+};
+
+const _removeEntry = (elem, registry, entry) => {
+  const idx = registry.indexOf(entry);
+  if (idx !== -1) registry.splice(idx, 1);
+  elem.removeEventListener(entry.type, entry.listener, { capture: entry.capture });
+};
+
+/**
+ * Removes listeners matching any of: event type, namespaces ('.menu'), selector and handler.
+ * Called without arguments it removes every listener added through `_on`.
+ */
+const _off = (elem, registry, events, selector, handler) => {
+  if (typeof selector === 'function') {
+    handler = selector;
+    selector = undefined;
+  }
+  const filters = events ? _parseEvents(events) : [{ type: '', ns: [] }];
+  filters.forEach(({ type, ns }) => {
+    registry.filter(entry =>
+      (!type || entry.type === type) &&
+      ns.every(n => entry.ns.includes(n)) &&
+      (selector === undefined || entry.selector === selector) &&
+      (!handler || entry.handler === handler)
+    ).forEach(entry => _removeEntry(elem, registry, entry));
+  });
+};
+
+/**
+ * Dispatches a bubbling, cancelable CustomEvent carrying `detail` (namespaces are ignored).
+ */
+const _trigger = (elem, event, detail) => {
+  _parseEvents(event).forEach(({ type }) => {
+    elem.dispatchEvent(new CustomEvent(type, { bubbles: true, cancelable: true, detail }));
+  });
+};
+
+/* ------------------------------------------------------------------
+ * Reactive State
+ * ------------------------------------------------------------------ */
+
+// The effect currently being run; signals read while it is set subscribe it.
+let activeEffect = null;
+
+const isSignal = obj => !!obj && obj.__signal === true;
+
+/**
+ * Creates a reactive value. Reading `.value` inside an effect subscribes that effect.
+ * @param {*} initial - Initial value
+ * @returns {{value: *, peek: Function, subscribe: Function}} - The signal
+ */
+const signal = (initial) => {
+  let value = initial;
+  const subscribers = new Set();
+  const sig = {
+    __signal: true,
+    get value() {
+      if (activeEffect) {
+        subscribers.add(activeEffect);
+        activeEffect.deps.add(subscribers);
+      }
+      return value;
+    },
+    set value(next) {
+      if (Object.is(next, value)) return;
+      value = next;
+      [...subscribers].forEach(e => e.run());
+    },
+    peek: () => value,
+    subscribe: (fn) => effect(() => fn(sig.value)),
+  };
+  return sig;
+};
+
+/**
+ * Runs a function now and again whenever a signal it read changes.
+ * The function may return a cleanup, called before each re-run and on dispose.
+ * @param {Function} fn - The effect body
+ * @returns {Function} - Disposes the effect
+ */
+const effect = (fn) => {
+  let cleanup = null;
+  const e = {
+    deps: new Set(),
+    active: true,
+    run: () => {
+      if (!e.active) return;
+      e.deps.forEach(subs => subs.delete(e));
+      e.deps.clear();
+      if (typeof cleanup === 'function') cleanup();
+      const prev = activeEffect;
+      activeEffect = e;
+      try { cleanup = fn(); } finally { activeEffect = prev; }
+    }
+  };
+  e.run();
+  return () => {
+    e.active = false;
+    e.deps.forEach(subs => subs.delete(e));
+    e.deps.clear();
+    if (typeof cleanup === 'function') cleanup();
+  };
+};
+
+/**
+ * Creates a read-only signal derived from other signals.
+ * `dispose()` unsubscribes it from its sources; it then keeps its last value.
+ * @param {Function} fn - Computes the value
+ * @returns {{value: *, peek: Function, subscribe: Function, dispose: Function}} - The computed signal
+ */
+const computed = (fn) => {
+  const inner = signal();
+  const dispose = effect(() => { inner.value = fn(); });
+  return {
+    __signal: true,
+    get value() { return inner.value; },
+    peek: inner.peek,
+    subscribe: inner.subscribe,
+    dispose,
+  };
+};
+
+/**
+ * Binds a signal (or a function reading signals) to a vNode target:
+ * 'text', 'attrs.<name>', 'class.<name>' or 'style.<prop>'.
+ * The binding stops once the node is removed.
+ */
+const _bind = (vNode, target, source) => {
+  const read = isSignal(source) ? () => source.value : source;
+  if (typeof read !== 'function') throw new Error(`Invalid binding source for ${target}`);
+  const [kind, name] = target.split(/\.(.+)/);
+  const write = {
+    text: v => { vNode.text = v ?? ''; },
+    attrs: v => { (v === null || v === undefined || v === false) ? delete vNode.attrs[name] : (vNode.attrs[name] = v); },
+    class: v => vNode._.toggleClass(name, !!v),
+    style: v => vNode._.css({ [name]: v ?? '' }),
+  }[kind];
+  if (!write || (kind !== 'text' && !name)) throw new Error(`Invalid binding target: ${target}`);
+
+  let wasConnected = vNode.$.isConnected;
+  let dispose = null;
+  dispose = effect(() => {
+    const value = read();
+    // Removed by something other than _.remove() (e.g. an ancestor): stop updating it.
+    if (vNode.$.isConnected) wasConnected = true;
+    else if (wasConnected) return dispose && dispose();
+    write(value);
+  });
+  return dispose;
+};
+
 /* ------------------------------------------------------------------
  * Caching and DOM Selection
  * ------------------------------------------------------------------ */
@@ -209,13 +711,15 @@ class LRUCache {
             this.cache.delete(this.cache.keys().next().value);
         }
     }
+    has(key) { return this.cache.has(key); }
+    keys() { return [...this.cache.keys()]; }
     delete(key) { this.cache.delete(key); }
     clear() { this.cache.clear(); }
 }
 const _$ = new LRUCache(yokto.config.MAX_CACHE_SIZE || 100);
 
-const o = new MutationObserver(() => _$.clear());
-if (yokto.config.observeDOM && $doc && $doc.body) {
+const o = hasDOM && new MutationObserver(() => _$.clear());
+if (o && yokto.config.observeDOM && $doc.body) {
     o.observe($doc.body, { childList: true, subtree: true });
 }
 
@@ -273,7 +777,7 @@ const $$ = (selectorOrFn, useCache = false) => {
  * @returns {vNode} - The new vNode
  */
 const $v = (tag, attrs, children) => {
-  const elem = document.createElement(tag);
+  const elem = $doc.createElement(tag);
   if (__(attrs)) {
     for (const key in attrs) {
       elem.setAttribute(key, attrs[key]);
@@ -282,151 +786,1212 @@ const $v = (tag, attrs, children) => {
   if (typeof children === 'string') {
     elem.innerText = children;
   } else if (Array.isArray(children)) {
-    children.forEach(child => elem.append(child?.$?.node || document.createTextNode(child)));
+    children.forEach(child => elem.append(child?.$?.node || $doc.createTextNode(child)));
   } else if (children) {
-    elem.append(children?.$?.node || document.createTextNode(children));
+    elem.append(children?.$?.node || $doc.createTextNode(children));
   }
   return _toVNode(elem);
 };
 
 /**
  * Mounts a vNode to a parent element in the DOM.
- * @param {vNode} vNode - The vNode to mount
+ * @param {vNode|vNodeList} vNode - The vNode to mount (or a list of vNodes/strings, e.g. from html``)
  * @param {Element} parentElement - The DOM element/vNode to mount to
  * @returns {vNode} - The mounted vNode
  */
 const _ = (vNode, parentElement) => {
   if ( '$' in parentElement ) {
     parentElement = parentElement.$.node
-  }; parentElement.append(vNode.$.node);
+  }; _flushNode(parentElement);
+  Array.isArray(vNode) ? vNode.forEach(v => parentElement.append(_toDOM(v))) : parentElement.append(vNode.$.node);
   return vNode;
 };
 
 /* ------------------------------------------------------------------
- * Chainable API
+ * Keyed Diff / Patch
  * ------------------------------------------------------------------ */
-const $c = (selector, index) => {
-    let nodes;
-    // Handle case where a vNode or vNodeList is passed directly
-    if (typeof selector === 'string') {
-        nodes = $$(selector);
-    } else if (Array.isArray(selector)) {
-        nodes = vNodeList(selector);
-    } else if (selector && selector.$) { // It's a single vNode
-        nodes = vNodeList([selector]);
-    } else {
-        nodes = vNodeList([]);
-    }
 
-    if (!nodes || !nodes.length) {
-        nodes = vNodeList([]); // Ensure nodes is always a vNodeList
-    }
+const _keyOf = node => (node.nodeType === 1 ? node.getAttribute('key') : null);
 
-    if (typeof index === "number") {
-        nodes = (index >= 0 && index < nodes.length) ? vNodeList([nodes[index]]) : vNodeList([]);
-    }
+const _toDOM = child => child?.$?.node || (isDOMNode(child) ? child : $doc.createTextNode(child));
 
-    const api = {
-        addClass: (...names) => {
-            nodes.addClasses(...names);
-            return api;
-        },
-        removeClass: (...names) => {
-            nodes.removeClasses(...names);
-            return api;
-        },
-        toggleClass: (name, force) => {
-            nodes.toggleClass(name, force);
-            return api;
-        },
-        attr: (key, val) => {
-            if (val === undefined && typeof key === 'string') {
-                return nodes.first()?.attrs[key]; // Getter
-            }
-            nodes.each(v => {
-                if (__(key)) {
-                    for (const k in key) { v.attrs[k] = key[k]; }
-                } else {
-                    v.attrs[key] = val;
-                }
-            });
-            return api;
-        },
-        css: (styles) => {
-            nodes.css(styles);
-            return api;
-        },
-        text: (content) => {
-            if (content === undefined) {
-                return nodes.reduce((acc, v) => acc + v.text, ""); // Getter
-            }
-            nodes.each(v => v.text = content); // Setter
-            return api;
-        },
-        on: (evt, fn) => {
-            nodes.on(evt, fn);
-            return api;
-        },
-        off: (evt, fn) => {
-            nodes.off(evt, fn);
-            return api;
-        },
-        append: (child) => {
-            const first = nodes.first();
-            if (first) first._.append(child);
-            return api;
-        },
-        prepend: (child) => {
-            const first = nodes.first();
-            if (first) first._.prepend(child);
-            return api;
-        },
-        remove: () => {
-            nodes.remove();
-            return api;
-        },
-        each: (fn) => {
-            nodes.each(fn);
-            return api;
-        },
-        map: (fn) => {
-            return $c(nodes.map(fn));
-        },
-        filter: (fn) => {
-            return $c(nodes.filter(fn));
-        },
-        get: (idx) => (idx === undefined) ? nodes : nodes[idx],
-        first: () => nodes.first(),
-        last: () => nodes.last(),
-        dom: () => nodes.map(v => v.$.node)
-    };
+const _sameNode = (a, b) => a.nodeType === b.nodeType &&
+  (a.nodeType !== 1 || (a.tagName === b.tagName && _keyOf(a) === _keyOf(b)));
 
-    return api;
+const _removeNode = node => {
+  const v = node.nodeType === 1 && vNodeCache.get(node);
+  if (v) return v._.remove();
+  // A plain element may still hold wrapped descendants, such as components
+  if (node.nodeType === 1) node.querySelectorAll('*').forEach(_destroy);
+  node.remove();
 };
 
-/* ------------------------------------------------------------------
- * Preserved Utilities
- * ------------------------------------------------------------------ */
-
-const setStylesOnEl = (el, styles) => {
-    if (typeof styles === "string") {
-        const match = styles.match(/^([^:]+):\s*(.+)$/);
-        if (match) {
-            const [, prop, val] = match;
-            n(() => el.style[prop] = val);
-        }
-    } else if (__(styles)) {
-        n(() => {
-            for (const [prop, val] of Object.entries(styles)) {
-                el.style[prop] = val;
-            }
-        });
-    }
+const _patchAttrs = (oldEl, newEl) => {
+  // Writes go through the attrs proxy when the element is already wrapped, so the vNode stays in sync.
+  const v = vNodeCache.get(oldEl);
+  for (const { name, value } of Array.from(newEl.attributes)) {
+    if (oldEl.getAttribute(name) === value) continue;
+    v ? (v.attrs[name] = value) : oldEl.setAttribute(name, value);
+  }
+  for (const { name } of Array.from(oldEl.attributes)) {
+    if (newEl.hasAttribute(name)) continue;
+    v ? delete v.attrs[name] : oldEl.removeAttribute(name);
+  }
 };
 
-const $s = (query, styles, index) => {
-    const nodes = $$(query);
-    if (!nodes || !nodes.length) return;
+// The component instance whose render is running. Listeners and bindings added meanwhile are tagged
+// with it, so a re-render only replaces its own and keeps those added to the element from outside.
+let renderOwner = null;
+
+// Owner for trees passed to render(), _.patch() and hydrate() outside a component. Such a tree only
+// describes the DOM, so its listeners and bindings are tagged to replace the previous description's.
+const DESCRIBED = { described: true };
+
+const _describing = (nodes, fn) => {
+  if (renderOwner) return fn();
+  nodes.forEach(node => {
+    if (node.nodeType !== 1 || node.isConnected) return;
+    [node, ...node.querySelectorAll('*')].forEach(el => {
+      const state = vNodeState.get(el);
+      if (state) [...state.listeners, ...state.bindings].forEach(entry => { if (!entry.owner) entry.owner = DESCRIBED; });
+    });
+  });
+  renderOwner = DESCRIBED;
+  try { return fn(); } finally { renderOwner = null; }
+};
+
+/**
+ * Moves the listeners and bindings of a freshly built element onto the element it describes.
+ * With an `owner`, only the ones that owner's render created are moved, replacing its previous ones.
+ */
+const _adoptState = (existing, described, owner) => {
+  const vNode = _toVNode(existing);
+  const ownedBy = entry => owner === undefined || entry.owner === owner;
+  if (owner !== undefined) {
+    const own = vNodeState.get(existing);
+    own.listeners.filter(ownedBy).forEach(entry => _removeEntry(existing, own.listeners, entry));
+    own.bindings.filter(ownedBy).forEach(b => {
+      own.bindings.splice(own.bindings.indexOf(b), 1);
+      b.dispose();
+    });
+  }
+  const state = vNodeState.get(described);
+  if (!state) return;
+  const prevOwner = renderOwner;
+  try {
+    state.listeners.filter(ownedBy).forEach(({ type, ns, selector, handler, options, owner: o }) => {
+      renderOwner = o;
+      vNode._.on([type, ...ns].join('.'), selector, handler, options);
+    });
+    state.bindings.splice(0).forEach(binding => {
+      binding.dispose();
+      renderOwner = binding.owner;
+      if (ownedBy(binding)) vNode._.bind(binding.target, binding.source);
+    });
+  } finally {
+    renderOwner = prevOwner;
+  }
+};
+
+const _patchNode = (oldNode, newNode) => {
+  if (oldNode === newNode) return; // e.g. slot content handed back to the same component
+  if (oldNode.nodeType !== 1) {
+    if (oldNode.nodeValue !== newNode.nodeValue) oldNode.nodeValue = newNode.nodeValue;
+    return;
+  }
+  if (renderOwner) _adoptState(oldNode, newNode, renderOwner);
+  if (_patchComponent(oldNode, newNode)) return;
+  _patchAttrs(oldNode, newNode);
+  _patchChildren(oldNode, Array.from(newNode.childNodes));
+  _destroy(newNode); // its children were moved or patched; what is left of it is a spent description
+};
+
+const _patchChildren = (parent, newChildren) => {
+  const oldChildren = Array.from(parent.childNodes);
+  const keyed = new Map();
+  oldChildren.forEach(c => { const k = _keyOf(c); if (k !== null) keyed.set(k, c); });
+  const unkeyed = oldChildren.filter(c => _keyOf(c) === null);
+
+  // Pair every new child with a reusable old one: by key, else the next compatible unkeyed node.
+  const used = new Set();
+  const matches = newChildren.map(newChild => {
+    const key = _keyOf(newChild);
+    let match = null;
+    if (key !== null) {
+      match = keyed.get(key) || null;
+    } else {
+      const idx = unkeyed.findIndex(c => !used.has(c) && _sameNode(c, newChild));
+      if (idx !== -1) match = unkeyed[idx];
+    }
+    if (match && (used.has(match) || !_sameNode(match, newChild))) match = null;
+    if (match) used.add(match);
+    return match;
+  });
+
+  oldChildren.forEach(c => { if (!used.has(c)) _removeNode(c); });
+
+  newChildren.forEach((newChild, i) => {
+    const ref = parent.childNodes[i] || null;
+    const match = matches[i];
+    if (match) {
+      _patchNode(match, newChild);
+      if (match !== ref) parent.insertBefore(match, ref);
+    } else {
+      parent.insertBefore(newChild, ref);
+    }
+  });
+};
+
+const _patch = (vNode, newTree) => {
+  const elem = vNode.$.node;
+  const newElem = _toDOM(newTree);
+  return _describing([newElem], () => {
+    if (!_sameNode(elem, newElem)) {
+      elem.replaceWith(newElem);
+      return newElem.nodeType === 1 ? _toVNode(newElem) : newElem;
+    }
+    _patchNode(elem, newElem);
+    return vNode;
+  });
+};
+
+/**
+ * Renders a vNode tree (or an array of vNodes/strings) into a container, reusing existing DOM.
+ * Children carrying a `key` attribute are matched by key, so re-ordered lists keep their nodes
+ * (and with them focus, scroll position and input state).
+ * @param {Element|vNode} container - The DOM element/vNode to render into
+ * @param {vNode|string|Array<vNode|string>} tree - The newly described children
+ * @returns {vNode} - The container vNode
+ */
+const render = (container, tree) => {
+  if ('$' in container) container = container.$.node;
+  // Flushing first applies writes queued on the new tree (e.g. initial bindings) before it is diffed
+  const nodes = _treeToNodes(tree);
+  sync(() => _describing(nodes, () => _patchChildren(container, nodes)));
+  return _toVNode(container);
+};
+
+/* ------------------------------------------------------------------
+ * Server-side Rendering & Hydration
+ * ------------------------------------------------------------------ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const _escapeHTML = str => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const _serialize = node => {
+  if (node.nodeType === 3) return _escapeHTML(node.nodeValue);
+  if (node.nodeType !== 1) return '';
+  const tag = node.tagName.toLowerCase();
+  const attrs = Array.from(node.attributes).map(({ name, value }) => ` ${name}="${_escapeHTML(value)}"`).join('');
+  if (VOID_TAGS.has(tag)) return `<${tag}${attrs}>`;
+  return `<${tag}${attrs}>${Array.from(node.childNodes).map(_serialize).join('')}</${tag}>`;
+};
+
+const _treeToNodes = tree => (Array.isArray(tree) ? tree : [tree])
+  .filter(c => c !== null && c !== undefined && c !== false)
+  .map(_toDOM);
+
+/**
+ * Serializes a vNode tree (or an array of vNodes/strings) to an HTML string.
+ * Works with and without a DOM, so the same $v code can pre-render pages in Node.
+ * @param {vNode|string|Array<vNode|string>} tree - The tree to serialize
+ * @returns {string} - The HTML markup
+ */
+const renderToString = tree => _treeToNodes(tree).map(_serialize).join('');
+
+// Ignore whitespace-only text and comments, which server markup and $v trees rarely agree on.
+const _isContent = node => node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim() !== '');
+
+const _hydrateNode = (existing, described) => {
+  _patchAttrs(existing, described);
+  _adoptState(existing, described);
+  _hydrateChildren(existing, Array.from(described.childNodes));
+};
+
+const _hydrateChildren = (parent, described) => {
+  const existing = Array.from(parent.childNodes).filter(_isContent);
+  described.filter(_isContent).forEach((d, i) => {
+    const e = existing[i];
+    if (e && _sameNode(e, d)) {
+      if (e.nodeType === 1) _hydrateNode(e, d);
+      else if (e.nodeValue !== d.nodeValue) e.nodeValue = d.nodeValue;
+      return;
+    }
+    defaultLogger.warn('hydrate: markup mismatch, re-creating node', d.nodeType === 1 ? d.tagName.toLowerCase() : '#text');
+    e ? e.replaceWith(d) : parent.append(d);
+  });
+  existing.slice(described.filter(_isContent).length).forEach(_removeNode);
+};
+
+/**
+ * Attaches a client-side vNode tree to server-rendered markup instead of recreating it:
+ * existing elements get wrapped by vNodes and receive the tree's listeners and bindings.
+ * Nodes that do not match the markup are replaced by the described ones.
+ * @param {Element|vNode} root - The container holding the server-rendered markup
+ * @param {vNode|string|Array<vNode|string>} tree - The same tree the server rendered
+ * @returns {vNode} - The root vNode
+ */
+const hydrate = (root, tree) => {
+  if ('$' in root) root = root.$.node;
+  const nodes = _treeToNodes(tree);
+  sync(() => _describing(nodes, () => _hydrateChildren(root, nodes)));
+  return _toVNode(root);
+};
+
+/* ------------------------------------------------------------------
+ * Components
+ * ------------------------------------------------------------------ */
+
+// Root element -> component instance, so re-renders and removals can find it
+const componentInstances = new WeakMap();
+
+// Runs fn without subscribing the current effect to the signals it reads.
+const _untracked = fn => {
+  const prev = activeEffect;
+  activeEffect = null;
+  try { return fn(); } finally { activeEffect = prev; }
+};
+
+// An object whose properties are signals: reading one inside an effect subscribes to it.
+const _reactive = (initial = {}) => {
+  const signals = new Map(Object.entries(initial).map(([k, v]) => [k, signal(v)]));
+  const signalOf = key => {
+    if (!signals.has(key)) signals.set(key, signal(undefined));
+    return signals.get(key);
+  };
+  return new Proxy({}, {
+    get: (t, key) => (typeof key === 'symbol' ? undefined : signalOf(key).value),
+    set: (t, key, value) => { signalOf(key).value = value; return true; },
+    has: (t, key) => signals.has(key),
+    ownKeys: () => [...signals.keys()],
+    getOwnPropertyDescriptor: (t, key) => signals.has(key)
+      ? { enumerable: true, configurable: true, writable: true, value: signals.get(key).peek() }
+      : undefined,
+  });
+};
+
+// Sorts children into named slots by their `slot` attribute; everything else goes to `default`.
+const _toSlots = children => {
+  if (__(children) && !children.$) {
+    return Object.fromEntries(Object.entries(children).map(([name, c]) => [name, [].concat(c)]));
+  }
+  const slots = { default: [] };
+  [].concat(children ?? []).forEach(child => {
+    const name = (child?.$ && child.attrs.slot) || 'default';
+    (slots[name] = slots[name] || []).push(child);
+  });
+  return slots;
+};
+
+// A component root met again while re-rendering a parent keeps its instance and just receives new props.
+const _patchComponent = (oldNode, newNode) => {
+  const instance = componentInstances.get(oldNode);
+  const next = componentInstances.get(newNode);
+  if (!instance || !next || instance.definition !== next.definition) return false;
+  // Release the throwaway instance and everything its render created (nested components included),
+  // but not the slot content it was given: that is handed over below.
+  const slotNodes = Object.values(next.slots).flat().map(c => (c && c.$ ? c.$.node : c)).filter(isDOMNode);
+  newNode.querySelectorAll('*').forEach(el => { if (!slotNodes.some(n => n.contains(el))) _destroy(el); });
+  _destroy(newNode);
+  instance.update(next.rawProps, next.slots);
+  return true;
+};
+
+/**
+ * Defines a reusable component. Calling the result with props (and children) renders it and returns its root vNode,
+ * which can be mounted with `_` or used as a `$v` child. It re-renders when a prop or state value it read changes.
+ * @param {object} definition - { props, state, render, mounted, unmounted }
+ *   props: default prop values; state: initial state, or a function (props) returning it;
+ *   render(ctx): returns a $v tree with a single root element; mounted(ctx)/unmounted(ctx): lifecycle hooks.
+ *   ctx is { props, state, slots, slot(name, fallback), emit(event, detail), update(), el }.
+ *   A `key` prop is set as the root's key attribute.
+ * @returns {Function} - (props, children) => vNode
+ */
+const component = (definition) => {
+  const { props: defaults = {}, state: initialState, render: renderFn, mounted, unmounted } = definition;
+  if (typeof renderFn !== 'function') throw new Error('component: render must be a function');
+
+  const create = (rawProps = {}, children) => {
+    const props = _reactive({ ...defaults, ...rawProps });
+    const slotsSignal = signal(_toSlots(children));
+    const tick = signal(0);
+    let root = null;
+
+    const ctx = {
+      props,
+      state: _reactive(typeof initialState === 'function' ? initialState(props) : { ...initialState }),
+      get slots() { return slotsSignal.value; },
+      slot: (name = 'default', fallback = null) => slotsSignal.value[name] || fallback,
+      emit: (event, detail) => root && root._.trigger(event, detail),
+      update: () => { tick.value++; },
+      get el() { return root; },
+    };
+
+    const instance = {
+      definition,
+      rawProps,
+      get slots() { return slotsSignal.peek(); },
+      update: (nextProps, nextSlots) => {
+        Object.keys(nextProps).forEach(key => { props[key] = nextProps[key]; });
+        // Slot content is rebuilt by every parent render, so compare the nodes themselves
+        const current = slotsSignal.peek();
+        const changed = Object.keys({ ...current, ...nextSlots }).some(name =>
+          (current[name] || []).length !== (nextSlots[name] || []).length ||
+          (current[name] || []).some((c, i) => c !== nextSlots[name][i]));
+        if (changed) slotsSignal.value = nextSlots;
+      },
+      // Detached roots stop rendering; reattaching renders them again with whatever changed meanwhile
+      dispose: () => {
+        if (stop) stop();
+        stop = null;
+      },
+      resume: () => {
+        if (!stop) start();
+      },
+    };
+
+    const renderTree = () => {
+      tick.value;
+      const prevOwner = renderOwner;
+      renderOwner = instance;
+      try {
+        const tree = renderFn(ctx);
+        if (!tree || !tree.$ || tree.$.node.nodeType !== 1) throw new Error('component: render must return a single $v element');
+        _untracked(() => {
+          // A `key` prop becomes the root's key attribute, so keyed lists of components diff by identity
+          if (rawProps.key !== undefined && rawProps.key !== null) sync(() => { tree.attrs.key = String(rawProps.key); });
+          if (!root) {
+            root = tree;
+            return;
+          }
+          const next = sync(() => _patch(root, tree));
+          if (next !== root) {
+            // Root tag changed: move the instance over to the new element
+            componentInstances.delete(root.$.node);
+            root = next;
+            componentInstances.set(root.$.node, instance);
+            root.props = props;
+          }
+        });
+      } finally {
+        renderOwner = prevOwner;
+      }
+    };
+    let stop = null;
+    const start = () => { stop = effect(renderTree); };
+    start();
+
+    componentInstances.set(root.$.node, instance);
+    root.props = props;
+    root._.onMount(() => {
+      instance.resume();
+      if (mounted) mounted(ctx);
+    });
+    root._.onUnmount(() => {
+      instance.dispose();
+      if (unmounted) unmounted(ctx);
+    });
+    return root;
+  };
+  create.definition = definition;
+  return create;
+};
+
+// Attribute values arrive as strings: convert them to the type of the prop's default.
+const _coerceAttr = (value, fallback) => {
+  if (typeof fallback === 'boolean') return value !== null && value !== 'false';
+  if (value === null) return fallback;
+  if (typeof fallback === 'number') return Number(value);
+  if (fallback !== null && typeof fallback === 'object') {
+    try { return JSON.parse(value); } catch (e) { return fallback; }
+  }
+  return value;
+};
+
+const _camelCase = name => name.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+const _kebabCase = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+/**
+ * Registers a component as a native Custom Element. Attributes named after its props (kebab-case)
+ * are passed in as props, and the element's children become its slots.
+ * @param {string} name - The custom element name, e.g. 'x-card'
+ * @param {Function} Comp - A component created with `component`
+ * @returns {Function|undefined} - The element class, or undefined without Custom Elements support
+ */
+const define = (name, Comp) => {
+  if (typeof customElements === 'undefined') {
+    defaultLogger.warn(`define: Custom Elements are not supported, ${name} not registered`);
+    return undefined;
+  }
+  const defaults = Comp.definition.props || {};
+  const propNames = Object.keys(defaults);
+
+  class ComponentElement extends HTMLElement {
+    static get observedAttributes() { return propNames.map(_kebabCase); }
+
+    connectedCallback() {
+      if (this.view) { // moved within the document, or reattached
+        componentInstances.get(this.view.$.node)?.resume();
+        return;
+      }
+      const props = {};
+      propNames.forEach(p => { props[p] = _coerceAttr(this.getAttribute(_kebabCase(p)), defaults[p]); });
+      // The original children only feed the slots: take them out so the view is the host's sole content
+      const original = Array.from(this.childNodes);
+      original.forEach(node => node.remove());
+      const children = original
+        .filter(_isContent)
+        .map(node => (node.nodeType === 1 ? _toVNode(node) : node.nodeValue));
+      this.view = Comp(props, children);
+      this.append(this.view.$.node);
+    }
+
+    // Stop rendering while detached; a move within the document reconnects right away and resumes
+    disconnectedCallback() {
+      if (this.view) componentInstances.get(this.view.$.node)?.dispose();
+    }
+
+    attributeChangedCallback(attr, oldValue, value) {
+      if (!this.view || oldValue === value) return;
+      const prop = _camelCase(attr);
+      this.view.props[prop] = _coerceAttr(value, defaults[prop]);
+    }
+  }
+
+  customElements.define(name, ComponentElement);
+  return ComponentElement;
+};
+
+/* ------------------------------------------------------------------
+ * html Tagged Templates
+ * ------------------------------------------------------------------ */
+
+// Parsed templates, keyed by the (per call site) strings array of the tagged template
+const htmlCache = new WeakMap();
+
+// Interpolations are replaced by \0<index>\0 markers before parsing
+const HOLE_RE = /\u0000(\d+)\u0000/;
+const TAG_RE = /<([a-zA-Z][^\s/>\u0000]*)/y;
+// As in HTML, an unquoted value runs up to whitespace or `>`, so `href=/a/>` keeps its slash. A value
+// made of a single interpolation ends with it, which lets `<input value=${v}/>` self-close.
+const ATTR_RE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\u0000\d+\u0000(?=\/>)|[^\s>]+)))?/y;
+const SPACE_RE = /\s*/y;
+const TEXT_END_RE = /<(?=[a-zA-Z/!])/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+const _decodeEntities = str => str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+  if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+  return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+});
+
+// 'a\0' + '0\0b' -> ['a', 0, 'b']: static strings (entities decoded) and interpolation indexes
+const _splitHoles = str => str.split(/\u0000(\d+)\u0000/)
+  .map((part, i) => (i % 2 ? Number(part) : _decodeEntities(part)))
+  .filter(part => part !== '');
+
+const _parseAttr = (tag, name, value) => {
+  if (HOLE_RE.test(name)) throw new Error(`html: attribute names cannot be interpolated (<${tag}>)`);
+  const kind = '@.?'.includes(name[0]) ? name[0] : '';
+  return { kind, name: kind ? name.slice(1) : name, parts: value === undefined ? null : _splitHoles(value) };
+};
+
+/**
+ * Parses a template into a tree of { tag, attrs, children } elements, static strings and interpolation indexes.
+ * Whitespace-only text containing a newline (indentation) is dropped.
+ */
+const _parseTemplate = strings => {
+  const src = strings.map((str, i) => (i ? `\u0000${i - 1}\u0000${str}` : str)).join('');
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < src.length) {
+    const parent = stack[stack.length - 1];
+    if (src.startsWith('<!--', pos)) {
+      const end = src.indexOf('-->', pos + 4);
+      pos = end === -1 ? src.length : end + 3;
+    } else if (src.startsWith('</', pos)) {
+      const end = src.indexOf('>', pos);
+      const tag = src.slice(pos + 2, end === -1 ? src.length : end).trim().toLowerCase();
+      const idx = stack.map(n => n.tag).lastIndexOf(tag);
+      if (idx > 0) stack.length = idx;
+      pos = end === -1 ? src.length : end + 1;
+    } else if (src[pos] === '<' && (TAG_RE.lastIndex = pos, TAG_RE.exec(src))) {
+      const node = { tag: src.slice(pos + 1, TAG_RE.lastIndex).toLowerCase(), attrs: [], children: [] };
+      pos = TAG_RE.lastIndex;
+      let selfClosing = false;
+      for (;;) {
+        SPACE_RE.lastIndex = pos;
+        SPACE_RE.exec(src);
+        pos = SPACE_RE.lastIndex;
+        if (src.startsWith('/>', pos)) { pos += 2; selfClosing = true; break; }
+        if (src[pos] === '>') { pos++; break; }
+        ATTR_RE.lastIndex = pos;
+        const match = pos < src.length && ATTR_RE.exec(src);
+        if (!match) throw new Error(`html: unterminated <${node.tag}> tag`);
+        pos = ATTR_RE.lastIndex;
+        node.attrs.push(_parseAttr(node.tag, match[1], match[2] ?? match[3] ?? match[4]));
+      }
+      parent.children.push(node);
+      if (!selfClosing && !VOID_TAGS.has(node.tag)) stack.push(node);
+    } else {
+      TEXT_END_RE.lastIndex = pos + 1;
+      const end = TEXT_END_RE.exec(src) ? TEXT_END_RE.lastIndex - 1 : src.length;
+      _splitHoles(src.slice(pos, end)).forEach(part => {
+        if (typeof part === 'string' && !part.trim() && part.includes('\n')) return;
+        parent.children.push(part);
+      });
+      pos = end;
+    }
+  }
+  return root.children;
+};
+
+// Turns an interpolated child value into DOM nodes: vNodes, nodes, arrays (and vNodeLists) or text.
+const _valueToNodes = (value, out) => {
+  if (value === null || value === undefined || typeof value === 'boolean') return;
+  if (Array.isArray(value)) value.forEach(v => _valueToNodes(v, out));
+  else if (value.$ && value.$.node) out.push(value.$.node);
+  else if (isDOMNode(value)) out.push(value);
+  else out.push($doc.createTextNode(String(value)));
+};
+
+const _attrText = v => (v === null || v === undefined || v === false ? '' : String(v));
+
+const _classText = v => (Array.isArray(v) ? v.filter(Boolean).join(' ')
+  : __(v) ? Object.keys(v).filter(k => v[k]).join(' ') : _attrText(v));
+
+// Applies one attribute to a fresh element; listeners are collected, as they need the element's vNode.
+const _applyAttr = (elem, { kind, name, parts }, values, events) => {
+  const single = parts && parts.length === 1 && typeof parts[0] === 'number';
+  const value = single ? values[parts[0]]
+    : parts ? parts.map(p => (typeof p === 'number' ? _attrText(values[p]) : p)).join('') : '';
+  if (kind === '@') {
+    if (typeof value !== 'function') throw new Error(`html: @${name} expects a function`);
+    events.push([name, value]);
+  } else if (kind === '.') {
+    elem[name] = value;
+  } else if (kind === '?') {
+    if (value && value !== 'false') elem.setAttribute(name, '');
+  } else if (!single) {
+    elem.setAttribute(name, value);
+  } else if (name === 'style' && __(value)) {
+    Object.entries(value).forEach(([prop, v]) => { elem.style[prop] = v ?? ''; });
+  } else if (name === 'class') {
+    const cls = _classText(value);
+    if (cls) elem.setAttribute('class', cls);
+  } else if (value !== null && value !== undefined && value !== false) {
+    elem.setAttribute(name, value === true ? '' : String(value));
+  }
+};
+
+const _buildTemplateNode = (desc, values, out) => {
+  if (typeof desc === 'string') return out.push($doc.createTextNode(desc));
+  if (typeof desc === 'number') return _valueToNodes(values[desc], out);
+  const elem = $doc.createElement(desc.tag);
+  const events = [];
+  desc.attrs.forEach(attr => _applyAttr(elem, attr, values, events));
+  const children = [];
+  desc.children.forEach(child => _buildTemplateNode(child, values, children));
+  elem.append(...children);
+  const vNode = _toVNode(elem);
+  events.forEach(([event, handler]) => vNode._.on(event, handler));
+  out.push(elem);
+};
+
+/**
+ * Tagged template building vNodes from HTML-like markup. Each template is parsed once and cached.
+ * Interpolated values are never parsed as HTML: they become text nodes or attribute values.
+ * Supports `@event=${fn}`, `.prop=${value}`, `?bool=${flag}`, `style=${object}`, `class=${object|array}`
+ * and vNodes, DOM nodes or arrays in child position.
+ * @returns {vNode|vNodeList} - The vNode for a single root element, else a vNodeList of vNodes and strings
+ */
+const html = (strings, ...values) => {
+  let tree = htmlCache.get(strings);
+  if (!tree) {
+    tree = _parseTemplate(strings);
+    htmlCache.set(strings, tree);
+  }
+  const nodes = [];
+  tree.forEach(desc => _buildTemplateNode(desc, values, nodes));
+  const content = nodes.filter(_isContent);
+  if (content.length === 1 && content[0].nodeType === 1) return _toVNode(content[0]);
+  return vNodeList(content.map(node => (node.nodeType === 1 ? _toVNode(node) : node.nodeValue)));
+};
+
+/* ------------------------------------------------------------------
+ * HTML Sanitizer
+ * ------------------------------------------------------------------ */
+
+// Removed together with their content unless explicitly allowed
+const SANITIZE_DROP = new Set(['script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'svg', 'math', 'title', 'textarea', 'select', 'option', 'xmp', 'plaintext',
+  'base', 'link', 'meta', 'head', 'form', 'input', 'button']);
+const URL_ATTRS = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href']);
+
+// The Trusted Types policy is only ever applied to markup this module parses or has sanitized.
+let ttPolicy;
+const _trusted = str => {
+  if (ttPolicy === undefined) {
+    const custom = yokto.config.trustedTypesPolicy;
+    ttPolicy = custom && typeof custom.createHTML === 'function' ? custom : null;
+    if (!ttPolicy && $win.trustedTypes && $win.trustedTypes.createPolicy) {
+      try {
+        ttPolicy = $win.trustedTypes.createPolicy('yokto', { createHTML: markup => markup });
+      } catch (err) {
+        defaultLogger.warn('sanitize: could not create the "yokto" Trusted Types policy', err);
+      }
+    }
+  }
+  return ttPolicy ? ttPolicy.createHTML(str) : str;
+};
+
+// Control characters and spaces are ignored by browsers inside a scheme ("java\tscript:"), so strip them first.
+const _safeURL = (value, protocols) => {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\u0000-\u0020\u007f-\u009f]/g, ''));
+  return !scheme || protocols.includes(scheme[1].toLowerCase());
+};
+
+const _buildPlainNode = desc => {
+  if (typeof desc === 'string') return $doc.createTextNode(desc);
+  const elem = $doc.createElement(desc.tag);
+  desc.attrs.forEach(({ kind, name, parts }) => elem.setAttribute(kind + name, parts ? parts.join('') : ''));
+  desc.children.forEach(child => elem.append(_buildPlainNode(child)));
+  return elem;
+};
+
+// Parses untrusted markup into a detached container: an inert document in the browser, the template parser without a DOM.
+const _parseUntrusted = markup => {
+  if (hasDOM) {
+    const doc = $doc.implementation.createHTMLDocument('');
+    doc.body.innerHTML = _trusted(markup);
+    return doc.body;
+  }
+  const root = $doc.createElement('body');
+  try {
+    _parseTemplate([markup.replace(/\u0000/g, '')]).forEach(desc => root.append(_buildPlainNode(desc)));
+  } catch (err) {
+    root.append(markup); // unparseable: keep it as plain text
+  }
+  return root;
+};
+
+const _sanitizeNode = (parent, config) => {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 3) return;
+    if (node.nodeType !== 1) return node.remove(); // comments, processing instructions
+    const tag = node.tagName.toLowerCase();
+    if (!config.tags.has(tag)) {
+      if (SANITIZE_DROP.has(tag)) return node.remove();
+      // Unknown or disallowed tag: keep its (sanitized) content
+      _sanitizeNode(node, config);
+      Array.from(node.childNodes).forEach(child => parent.insertBefore(child, node));
+      return node.remove();
+    }
+    Array.from(node.attributes).forEach(({ name, value }) => {
+      const attr = name.toLowerCase();
+      const allowed = !attr.startsWith('on') &&
+        (config.attributes.has(attr) || /^(aria|data)-/.test(attr)) &&
+        (!URL_ATTRS.has(attr) || _safeURL(value, config.protocols));
+      if (!allowed) node.removeAttribute(name);
+    });
+    if (tag === 'a' && node.getAttribute('target') === '_blank') node.setAttribute('rel', 'noopener noreferrer');
+    _sanitizeNode(node, config);
+  });
+};
+
+// Parses and sanitizes markup, returning the detached container holding the result.
+const _sanitizeTree = (markup, options = {}) => {
+  const defaults = sanitize.defaults;
+  const config = {
+    tags: new Set(options.tags || defaults.tags),
+    attributes: new Set(options.attributes || defaults.attributes),
+    protocols: options.protocols || defaults.protocols,
+  };
+  const root = _parseUntrusted(String(markup ?? ''));
+  _sanitizeNode(root, config);
+  return root;
+};
+
+const _innerHTML = elem => (hasDOM ? elem.innerHTML : Array.from(elem.childNodes).map(_serialize).join(''));
+
+/**
+ * Cleans untrusted HTML with an allowlist: scripts and other dangerous elements are dropped with their content,
+ * unknown tags are unwrapped, event-handler attributes and URLs with disallowed schemes (javascript:, data:, ...) are removed.
+ * @param {string} markup - The untrusted HTML
+ * @param {object} [options] - { tags, attributes, protocols } replacing `sanitize.defaults`; `trusted: true` returns a TrustedHTML when available
+ * @returns {string|TrustedHTML} - The sanitized HTML
+ */
+const sanitize = (markup, options = {}) => {
+  const out = _innerHTML(_sanitizeTree(markup, options));
+  return options.trusted ? _trusted(out) : out;
+};
+
+sanitize.defaults = {
+  tags: ['a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section',
+    'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr',
+    'u', 'ul', 'var', 'wbr'],
+  attributes: ['alt', 'cite', 'class', 'colspan', 'datetime', 'dir', 'headers', 'height', 'href', 'id', 'lang', 'open',
+    'rel', 'reversed', 'role', 'rowspan', 'scope', 'span', 'src', 'start', 'target', 'title', 'type', 'width'],
+  protocols: ['http', 'https', 'mailto', 'tel'],
+};
+
+/* ------------------------------------------------------------------
+ * Chainable API
+ * ------------------------------------------------------------------ */
+const $c = (selector, index) => {
+    let nodes;
+    // Handle case where a vNode or vNodeList is passed directly
+    if (typeof selector === 'string') {
+        nodes = $$(selector);
+    } else if (Array.isArray(selector)) {
+        nodes = vNodeList(selector);
+    } else if (selector && selector.$) { // It's a single vNode
+        nodes = vNodeList([selector]);
+    } else {
+        nodes = vNodeList([]);
+    }
+
+    if (!nodes || !nodes.length) {
+        nodes = vNodeList([]); // Ensure nodes is always a vNodeList
+    }
+
+    if (typeof index === "number") {
+        nodes = (index >= 0 && index < nodes.length) ? vNodeList([nodes[index]]) : vNodeList([]);
+    }
+
+    const api = {
+        addClass: (...names) => {
+            nodes.addClasses(...names);
+            return api;
+        },
+        removeClass: (...names) => {
+            nodes.removeClasses(...names);
+            return api;
+        },
+        toggleClass: (name, force) => {
+            nodes.toggleClass(name, force);
+            return api;
+        },
+        attr: (key, val) => {
+            if (val === undefined && typeof key === 'string') {
+                return nodes.first()?.attrs[key]; // Getter
+            }
+            nodes.each(v => {
+                if (__(key)) {
+                    for (const k in key) { v.attrs[k] = key[k]; }
+                } else {
+                    v.attrs[key] = val;
+                }
+            });
+            return api;
+        },
+        css: (styles) => {
+            nodes.css(styles);
+            return api;
+        },
+        text: (content) => {
+            if (content === undefined) {
+                return nodes.reduce((acc, v) => acc + v.text, ""); // Getter
+            }
+            nodes.each(v => v.text = content); // Setter
+            return api;
+        },
+        html: (markup, options) => {
+            if (markup === undefined) {
+                return nodes.first()?._.html() ?? ""; // Getter
+            }
+            nodes.each(v => v._.html(markup, options)); // Setter (sanitized)
+            return api;
+        },
+        on: (...args) => {
+            nodes.on(...args);
+            return api;
+        },
+        off: (...args) => {
+            nodes.off(...args);
+            return api;
+        },
+        trigger: (evt, detail) => {
+            nodes.trigger(evt, detail);
+            return api;
+        },
+        append: (child) => {
+            const first = nodes.first();
+            if (first) first._.append(child);
+            return api;
+        },
+        prepend: (child) => {
+            const first = nodes.first();
+            if (first) first._.prepend(child);
+            return api;
+        },
+        remove: () => {
+            nodes.remove();
+            return api;
+        },
+        each: (fn) => {
+            nodes.each(fn);
+            return api;
+        },
+        map: (fn) => {
+            return $c(nodes.map(fn));
+        },
+        filter: (fn) => {
+            return $c(nodes.filter(fn));
+        },
+        get: (idx) => (idx === undefined) ? nodes : nodes[idx],
+        first: () => nodes.first(),
+        last: () => nodes.last(),
+        dom: () => nodes.map(v => v.$.node)
+    };
+
+    return api;
+};
+
+/* ------------------------------------------------------------------
+ * Forms
+ * ------------------------------------------------------------------ */
+
+const FIELD_SELECTOR = 'input, select, textarea';
+const SKIPPED_FIELD_TYPES = new Set(['submit', 'button', 'reset', 'image']);
+
+const FORM_MESSAGES = {
+  required: () => 'This field is required',
+  pattern: () => 'Please match the requested format',
+  min: min => `Must be at least ${min}`,
+  max: max => `Must be at most ${max}`,
+  minLength: len => `Must be at least ${len} characters`,
+  maxLength: len => `Must be at most ${len} characters`,
+  validate: () => 'Invalid value',
+};
+
+// 'user[address][city]' or 'user.address.city' -> ['user', 'address', 'city']; a trailing '[]' marks a list.
+const _fieldPath = name => name.replace(/\[\]$/, '').replace(/\]/g, '').split(/\[|\./);
+
+const _getPath = (obj, path) => path.reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), obj);
+
+const _setPath = (obj, path, value) => {
+  let target = obj;
+  path.slice(0, -1).forEach((key, i) => {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = /^\d+$/.test(path[i + 1]) ? [] : {};
+    target = target[key];
+  });
+  target[path[path.length - 1]] = value;
+};
+
+const _isEmpty = v => v === null || v === undefined || v === '' || v === false || (Array.isArray(v) && !v.length);
+
+// Named fields grouped by name, in document order (radio and checkbox groups share a name).
+const _fieldGroups = root => {
+  const groups = new Map();
+  Array.from(root.querySelectorAll(FIELD_SELECTOR))
+    .filter(f => f.name && !SKIPPED_FIELD_TYPES.has(f.type))
+    .forEach(f => {
+      if (!groups.has(f.name)) groups.set(f.name, []);
+      groups.get(f.name).push(f);
+    });
+  return groups;
+};
+
+const _readFields = (fields, name) => {
+  const first = fields[0];
+  let value;
+  if (first.type === 'checkbox') {
+    value = fields.length === 1 && !name.endsWith('[]')
+      ? (first.hasAttribute('value') ? (first.checked ? first.value : null) : first.checked)
+      : fields.filter(f => f.checked).map(f => f.value);
+  } else if (first.type === 'radio') {
+    value = fields.find(f => f.checked)?.value ?? null;
+  } else if (first.type === 'file') {
+    value = first.multiple ? Array.from(first.files || []) : (first.files && first.files[0]) || null;
+  } else if (first.tagName === 'SELECT' && first.multiple) {
+    value = Array.from(first.selectedOptions).map(o => o.value);
+  } else if (fields.length > 1) {
+    value = fields.map(f => f.value);
+  } else if (first.type === 'number' || first.type === 'range') {
+    value = first.value === '' ? null : Number(first.value);
+  } else {
+    value = first.value;
+  }
+  if (name.endsWith('[]') && !Array.isArray(value)) value = _isEmpty(value) ? [] : [value];
+  return value;
+};
+
+// Property writes are skipped when nothing changes, so a bound field being typed into keeps its caret.
+const _writeFields = (fields, value) => {
+  const first = fields[0];
+  const list = [].concat(value ?? []).map(String);
+  if (first.type === 'checkbox') {
+    fields.forEach(f => {
+      const checked = Array.isArray(value) ? list.includes(f.value)
+        : typeof value === 'boolean' ? value : String(value) === f.value;
+      if (f.checked !== checked) f.checked = checked;
+    });
+  } else if (first.type === 'radio') {
+    fields.forEach(f => { const checked = String(value) === f.value; if (f.checked !== checked) f.checked = checked; });
+  } else if (first.type === 'file') {
+    return; // file inputs cannot be set from script
+  } else if (first.tagName === 'SELECT' && first.multiple) {
+    Array.from(first.options).forEach(o => { o.selected = list.includes(o.value); });
+  } else {
+    fields.forEach((f, i) => {
+      const next = Array.isArray(value) ? (value[i] ?? '') : (value ?? '');
+      if (f.value !== String(next)) f.value = next;
+    });
+  }
+};
+
+// Rules declared in markup: required, pattern, min, max, minlength and maxlength attributes.
+const _attrRules = field => {
+  const rules = {};
+  if (field.hasAttribute('required')) rules.required = true;
+  if (field.hasAttribute('pattern')) rules.pattern = new RegExp(`^(?:${field.getAttribute('pattern')})$`, 'u');
+  // Bounds of date, time, month and week fields are ISO strings and stay strings
+  ['min', 'max'].forEach(k => {
+    const bound = field.getAttribute(k);
+    if (bound !== null) rules[k] = bound.trim() !== '' && !isNaN(bound) ? Number(bound) : bound;
+  });
+  if (field.hasAttribute('minlength')) rules.minLength = Number(field.getAttribute('minlength'));
+  if (field.hasAttribute('maxlength')) rules.maxLength = Number(field.getAttribute('maxlength'));
+  return rules;
+};
+
+// A rule is a value, or { value, message } to replace the default message.
+const _ruleValue = rule => (__(rule) && !(rule instanceof RegExp) && 'value' in rule ? rule.value : rule);
+const _ruleMessage = (rule, kind, value) => (__(rule) && rule.message) ||
+  (typeof rule === 'string' && kind === 'required' ? rule : FORM_MESSAGES[kind](value));
+
+// Resolves with the first failing rule's message, or null when the value is valid.
+const _checkRules = async (rules, value, values) => {
+  const required = _ruleValue(rules.required);
+  if (_isEmpty(value)) return required ? _ruleMessage(rules.required, 'required') : null;
+  const text = Array.isArray(value) ? null : String(value);
+  const length = Array.isArray(value) ? value.length : text.length;
+  // Numeric bounds compare numbers; string bounds (ISO dates and times) compare the text, which sorts the same way
+  const order = bound => (typeof bound === 'number' ? Number(value) - bound
+    : text === null ? NaN : text < bound ? -1 : text > bound ? 1 : 0);
+  const checks = {
+    pattern: re => text === null || (typeof re === 'string' ? new RegExp(`^(?:${re})$`, 'u') : re).test(text),
+    min: min => order(min) >= 0,
+    max: max => order(max) <= 0,
+    minLength: len => length >= len,
+    maxLength: len => length <= len,
+  };
+  for (const kind of Object.keys(checks)) {
+    if (rules[kind] === undefined) continue;
+    const ruleValue = _ruleValue(rules[kind]);
+    if (!checks[kind](ruleValue)) return _ruleMessage(rules[kind], kind, ruleValue);
+  }
+  for (const fn of [].concat(rules.validate || [])) {
+    let result;
+    try {
+      result = await fn(value, values);
+    } catch (err) {
+      // A rule that cannot decide (e.g. its request failed) counts as failing
+      defaultLogger.error('form: validate rule failed', err);
+      return FORM_MESSAGES.validate();
+    }
+    if (typeof result === 'string') return result;
+    if (result === false) return FORM_MESSAGES.validate();
+  }
+  return null;
+};
+
+let errorIds = 0;
+
+/**
+ * Wraps a form (or any element containing fields) for serialization, population, two-way binding and validation.
+ * @param {string|vNode|Element} target - Selector, vNode or element holding the fields
+ * @param {object} [options] - { rules, validateOn: 'blur' | 'input' | 'submit', errorClass }
+ *   rules maps field names to { required, pattern, min, max, minLength, maxLength, validate }; each may be
+ *   { value, message }. `validate(value, values)` may be async and returns true, false or an error message.
+ * @returns {object} - { serialize, values, populate, bind, validate, validateField, onSubmit, reset, destroy, errors, node }
+ */
+const form = (target, options = {}) => {
+  const root = typeof target === 'string' ? $(target) : (target && target.$ ? target : target && _toVNode(target));
+  if (!root) throw new Error(`form: no element matches ${target}`);
+  const { rules = {}, validateOn = 'blur', errorClass = 'is-invalid' } = options;
+  const elem = root.$.node;
+  const errors = {};
+  const tokens = {};
+  const unbinds = [];
+
+  const groups = () => _fieldGroups(elem);
+  const rulesFor = (name, fields) => ({ ..._attrRules(fields[0]), ...(rules[name] || {}) });
+
+  const mark = (name, fields, message) => {
+    message ? (errors[name] = message) : delete errors[name];
+    const errorEl = elem.querySelector(`[data-error-for="${name.replace(/["\\]/g, '\\$&')}"]`);
+    if (errorEl) {
+      if (!errorEl.id) errorEl.id = `yokto-error-${++errorIds}`;
+      _toVNode(errorEl).text = message || '';
+    }
+    fields.forEach(f => {
+      const v = _toVNode(f);
+      v._.toggleClass(errorClass, !!message);
+      message ? (v.attrs['aria-invalid'] = 'true') : delete v.attrs['aria-invalid'];
+      if (errorEl) v.attrs['aria-describedby'] = errorEl.id;
+    });
+  };
+
+  const validateGroup = async (name, fields, values) => {
+    const token = tokens[name] = (tokens[name] || 0) + 1;
+    const message = await _checkRules(rulesFor(name, fields), _readFields(fields, name), values);
+    if (token !== tokens[name]) return errors[name] ?? null; // a newer check for this field is running
+    mark(name, fields, message);
+    return message;
+  };
+
+  const api = {
+    node: root,
+    errors,
+
+    /**
+     * @param {'object'|'formData'|'urlencoded'} [format='object'] - Nested object, FormData or URLSearchParams
+     */
+    serialize: (format = 'object') => {
+      if (format === 'object') {
+        const values = {};
+        groups().forEach((fields, name) => {
+          const enabled = fields.filter(f => !f.disabled);
+          if (enabled.length) _setPath(values, _fieldPath(name), _readFields(enabled, name));
+        });
+        return values;
+      }
+      const out = format === 'formData' ? new FormData() : new URLSearchParams();
+      groups().forEach(fields => fields.filter(f => !f.disabled).forEach(f => {
+        if ((f.type === 'checkbox' || f.type === 'radio') && !f.checked) return;
+        if (f.type === 'file') {
+          if (format === 'formData') Array.from(f.files || []).forEach(file => out.append(f.name, file));
+        } else if (f.tagName === 'SELECT' && f.multiple) {
+          Array.from(f.selectedOptions).forEach(o => out.append(f.name, o.value));
+        } else {
+          out.append(f.name, f.value);
+        }
+      }));
+      return out;
+    },
+
+    values: () => api.serialize('object'),
+
+    /** Sets fields from a (nested) object; fields missing from it are left alone. */
+    populate: (values = {}) => {
+      groups().forEach((fields, name) => {
+        const value = _getPath(values, _fieldPath(name));
+        if (value !== undefined) _writeFields(fields, value);
+      });
+      return api;
+    },
+
+    /**
+     * Keeps fields and `state` in sync both ways. `state` can be a signal holding an object, or an object
+     * (field edits are written into it; changes flow back to the fields when it is reactive, e.g. a component's state).
+     * @returns {Function} - Stops the binding
+     */
+    bind: (state) => {
+      const read = () => (isSignal(state) ? state.value : state);
+      const stop = effect(() => { api.populate(read() || {}); });
+      const ns = `.yoktoBind${unbinds.length}`;
+      root._.on(`input${ns} change${ns}`, e => {
+        const name = e.target && e.target.name;
+        if (!name) return;
+        const values = api.values();
+        if (isSignal(state)) {
+          state.value = values;
+        } else {
+          const path = _fieldPath(name);
+          _setPath(state, path, _getPath(values, path));
+        }
+      });
+      const unbind = () => { stop(); root._.off(ns); };
+      unbinds.push(unbind);
+      return unbind;
+    },
+
+    /** Checks one field, updating its error class, aria-invalid and [data-error-for] message. */
+    validateField: async (name) => {
+      const fields = groups().get(name);
+      return fields ? validateGroup(name, fields, api.values()) : null;
+    },
+
+    /**
+     * Checks every field with rules (from options or from required/pattern/min/max/minlength/maxlength attributes).
+     * @returns {Promise<{valid: boolean, errors: object}>}
+     */
+    validate: async () => {
+      const values = api.values();
+      await Promise.all([...groups()]
+        .filter(([name, fields]) => Object.keys(rulesFor(name, fields)).length)
+        .map(([name, fields]) => validateGroup(name, fields, values)));
+      return { valid: !Object.keys(errors).length, errors: { ...errors } };
+    },
+
+    /** Validates on submit and calls handler(values, event) when valid; otherwise focuses the first invalid field. */
+    onSubmit: (handler) => {
+      root._.on('submit.yoktoForm', async (e) => {
+        e.preventDefault();
+        const { valid } = await api.validate();
+        if (valid) {
+          try { await handler(api.values(), e); } catch (err) { defaultLogger.error('form: submit handler failed', err); }
+          return;
+        }
+        const invalid = [...groups()].find(([name]) => errors[name]);
+        if (invalid && invalid[1][0].focus) invalid[1][0].focus();
+      });
+      return api;
+    },
+
+    reset: () => {
+      if (typeof elem.reset === 'function') elem.reset();
+      groups().forEach((fields, name) => mark(name, fields, null));
+      return api;
+    },
+
+    destroy: () => {
+      unbinds.splice(0).forEach(unbind => unbind());
+      root._.off('.yoktoForm');
+    },
+  };
+
+  // Live validation: on blur (or every input), and on input again once a field shows an error
+  if (validateOn !== 'submit') {
+    root._.on(`focusout.yoktoForm input.yoktoForm change.yoktoForm`, e => {
+      const name = e.target && e.target.name;
+      if (!name || !groups().has(name)) return;
+      if (validateOn === 'input' || e.type === 'focusout' || errors[name]) api.validateField(name);
+    });
+  }
+
+  return api;
+};
+
+/* ------------------------------------------------------------------
+ * Preserved Utilities
+ * ------------------------------------------------------------------ */
+
+const setStylesOnEl = (el, styles) => {
+    if (typeof styles === "string") {
+        const match = styles.match(/^([^:]+):\s*(.+)$/);
+        if (match) {
+            const [, prop, val] = match;
+            _write(el, () => { el.style[prop] = val; });
+        }
+    } else if (__(styles)) {
+        _write(el, () => {
+            for (const [prop, val] of Object.entries(styles)) {
+                el.style[prop] = val;
+            }
+        });
+    }
+};
+
+const $s = (query, styles, index) => {
+    const nodes = $$(query);
+    if (!nodes || !nodes.length) return;
 
     let targetNodes = nodes;
     if (typeof index === "number") {
@@ -462,10 +2027,200 @@ const Logger = (opts = {}) => {
 
 const defaultLogger = Logger({ verbose: false, prefix: "yokto" });
 
-const RESTClient = async (method, url, options = {}) => {
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+
+// Copy of `headers` with credentials masked, for logs and errors.
+const _redactHeaders = headers => Object.fromEntries(Object.entries(headers || {}).map(([key, value]) =>
+    [key, SENSITIVE_HEADERS.includes(key.toLowerCase()) ? '[REDACTED]' : value]));
+
+/**
+ * Error thrown by RESTClient for non-2xx responses.
+ * Carries the status, response headers, the parsed error body and the request that failed
+ * (with Authorization and Cookie headers masked).
+ */
+class HTTPError extends Error {
+    constructor(response, body, request) {
+        super(`HTTP ${response.status} ${response.statusText}`);
+        this.name = "HTTPError";
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.headers = response.headers;
+        this.body = body;
+        this.request = request;
+        this.response = response;
+    }
+}
+
+// Reads a response body according to responseType: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'auto'.
+// Empty bodies (204, 205, HEAD, Content-Length: 0) resolve to null.
+const _readBody = async (resp, responseType = "json", method = "GET") => {
+    if (resp.status === 204 || resp.status === 205 || method === "HEAD" || resp.headers.get("Content-Length") === "0") {
+        return null;
+    }
+    let type = responseType;
+    if (type === "auto") {
+        const contentType = (resp.headers.get("Content-Type") || "").toLowerCase();
+        if (/[/+]json\b/.test(contentType)) type = "json";
+        else if (/^text\/|xml|x-www-form-urlencoded/.test(contentType) || !contentType) type = "text";
+        else type = typeof resp.blob === "function" ? "blob" : "arrayBuffer";
+    }
+    if (type === "json") {
+        const text = await resp.text();
+        return text.trim() ? JSON.parse(text) : null;
+    }
+    if (!["text", "blob", "arrayBuffer"].includes(type)) throw new Error(`Unknown responseType: ${responseType}`);
+    return resp[type]();
+};
+
+// Retried by default: idempotent methods failing with a network error, a timeout or one of these statuses.
+const RETRY_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const _abortError = signal => signal.reason instanceof Error
+    ? signal.reason
+    : Object.assign(new Error("Aborted"), { name: "AbortError" });
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts.
+const _sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(_abortError(signal));
+    const onAbort = () => { clearTimeout(timer); reject(_abortError(signal)); };
+    const timer = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Retry-After is either delay-seconds or an HTTP date.
+const _retryAfterMs = value => {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const _progress = (loaded, total) => ({ loaded, total, progress: total ? loaded / total : null });
+
+// Reads the body stream while reporting progress, then hands back an equivalent, unread Response.
+const _trackDownload = async (resp, onProgress) => {
+    if (!resp.body || typeof resp.body.getReader !== "function") return resp;
+    const total = Number(resp.headers.get("Content-Length")) || 0;
+    const reader = resp.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    onProgress(_progress(0, total));
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        onProgress(_progress(loaded, total));
+    }
+    const bytes = new Uint8Array(loaded);
+    chunks.reduce((offset, chunk) => { bytes.set(chunk, offset); return offset + chunk.byteLength; }, 0);
+    const nullBody = [101, 204, 205, 304].includes(resp.status);
+    return new Response(nullBody ? null : bytes, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+};
+
+// fetch-compatible transport over XMLHttpRequest, used when upload progress is requested.
+const _xhrFetch = (url, { method, headers, body, signal, credentials }, { onUploadProgress, onDownloadProgress }) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.withCredentials = credentials === "include";
+    xhr.responseType = "arraybuffer";
+    Object.entries(headers || {}).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+    if (onUploadProgress) xhr.upload.onprogress = e => onUploadProgress(_progress(e.loaded, e.lengthComputable ? e.total : 0));
+    if (onDownloadProgress) xhr.onprogress = e => onDownloadProgress(_progress(e.loaded, e.lengthComputable ? e.total : 0));
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const done = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.onload = () => {
+        done();
+        const responseHeaders = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+            const idx = line.indexOf(":");
+            responseHeaders.append(line.slice(0, idx).trim(), line.slice(idx + 1).trim());
+        });
+        const nullBody = [101, 204, 205, 304].includes(xhr.status);
+        resolve(new Response(nullBody ? null : xhr.response, { status: xhr.status, statusText: xhr.statusText, headers: responseHeaders }));
+    };
+    // Mirror fetch: network failures reject with a TypeError, aborts with an AbortError
+    xhr.onerror = () => { done(); reject(new TypeError("Network request failed")); };
+    xhr.onabort = () => { done(); reject(Object.assign(new Error("Aborted"), { name: "AbortError" })); };
+    xhr.send(body ?? null);
+});
+
+/**
+ * Incremental parser for the text/event-stream format. Feed it lines; it returns an
+ * event ({ event, data, id, retry }) when a blank line completes one, otherwise null.
+ */
+const _sseParser = () => {
+    let data = [], event = "", id, retry;
+    return (line) => {
+        if (line === "") {
+            if (!data.length) { event = ""; return null; }
+            const message = { event: event || "message", data: data.join("\n"), id, retry };
+            data = [];
+            event = "";
+            retry = undefined; // id is sticky (last event id), retry only travels with its event
+            return message;
+        }
+        if (line.startsWith(":")) return null; // comment / keep-alive
+        const idx = line.indexOf(":");
+        const field = idx === -1 ? line : line.slice(0, idx);
+        const value = idx === -1 ? "" : line.slice(idx + 1).replace(/^ /, "");
+        if (field === "data") data.push(value);
+        else if (field === "event") event = value;
+        else if (field === "id" && !value.includes("\0")) id = value;
+        else if (field === "retry" && /^\d+$/.test(value)) retry = Number(value);
+        return null;
+    };
+};
+
+/**
+ * Parses a streamed response body into items: JSON values for 'ndjson',
+ * { event, data, id, retry } objects for 'sse'. Stops when `signal` aborts.
+ */
+async function* _streamEvents(resp, format, signal) {
+    if (!resp.body || typeof resp.body.getReader !== "function") throw new Error("RESTClient: streaming is not supported here");
+    if (format !== "ndjson" && format !== "sse") throw new Error(`Unknown stream format: ${format}`);
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    const parseSSE = _sseParser();
+    const onAbort = () => reader.cancel().catch(() => {});
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const parseLine = line => {
+        if (format === "sse") return parseSSE(line);
+        return line.trim() ? JSON.parse(line) : null;
+    };
+
+    let buffer = "";
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (signal?.aborted) throw _abortError(signal);
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = done ? "" : lines.pop();
+            if (done && format === "sse") lines.push(""); // dispatch a trailing event without blank line
+            for (const line of lines) {
+                const item = parseLine(line);
+                if (item !== null) yield item;
+            }
+            if (done) break;
+        }
+    } finally {
+        signal?.removeEventListener("abort", onAbort);
+        reader.cancel().catch(() => {});
+    }
+}
+
+// Performs the request itself (retries, timeout, logging); RESTClient wraps it with the interceptor chain.
+const _restRequest = async (method, url, options = {}) => {
     const {
-        data, params, headers = {}, raw = false,
-        retry = 0, timeout = 0, verbose = false,
+        data, params, headers = {}, raw = false, responseType = "json",
+        retry = 0, timeout = 0, signal, verbose = false,
+        onUploadProgress, onDownloadProgress, stream, onChunk, credentials,
         logger = defaultLogger
     } = options;
 
@@ -479,146 +2234,874 @@ const RESTClient = async (method, url, options = {}) => {
         fullUrl += (url.includes("?") ? "&" : "?") + queryString;
     }
 
-    const fetchWithTimeout = (signal) => {
-        const fetchOptions = {
-            method,
-            headers: { ...headers },
-            body: data ? (() => {
-                try {
-                    if (data instanceof FormData || data instanceof URLSearchParams) return data;
-                    return JSON.stringify(data);
-                } catch (err) {
-                    log("error", "RESTClient: Failed to serialize body", err);
-                    throw new Error("Invalid JSON data");
-                }
-            })() : undefined,
-            signal
-        };
-        if (data && !fetchOptions.headers["Content-Type"] && !(data instanceof FormData)) {
-            fetchOptions.headers["Content-Type"] = "application/json";
+    const fetchWithTimeout = (signal) => {
+        const fetchOptions = {
+            method,
+            headers: { ...headers },
+            body: data ? (() => {
+                try {
+                    if (data instanceof FormData || data instanceof URLSearchParams) return data;
+                    return JSON.stringify(data);
+                } catch (err) {
+                    log("error", "RESTClient: Failed to serialize body", err);
+                    throw new Error("Invalid JSON data");
+                }
+            })() : undefined,
+            credentials,
+            signal
+        };
+        if (stream && !fetchOptions.headers["Accept"]) {
+            fetchOptions.headers["Accept"] = stream === "sse" ? "text/event-stream" : "application/x-ndjson";
+        }
+        if (data && !fetchOptions.headers["Content-Type"] && !(data instanceof FormData || data instanceof URLSearchParams)) {
+            fetchOptions.headers["Content-Type"] = "application/json";
+        }
+        if (verbose) {
+            log("info", "REST request", { method, fullUrl, headers: _redactHeaders(fetchOptions.headers), body: '[OMITTED for security]' });
+        }
+        // fetch cannot report upload progress, XHR can
+        return onUploadProgress
+            ? _xhrFetch(fullUrl, fetchOptions, { onUploadProgress, onDownloadProgress })
+            : fetch(fullUrl, fetchOptions);
+    };
+
+    const {
+        attempts: maxAttempts = 1, delay: baseDelay = 300, factor = 2, maxDelay = 30000, jitter = true,
+        methods = RETRY_METHODS, statuses = RETRY_STATUSES, retryOn
+    } = typeof retry === "number" ? { attempts: retry + 1 } : (retry || {});
+
+    const isRetryable = (err, attempt) => {
+        if (retryOn) return retryOn(err, { attempt, method, url: fullUrl });
+        if (!methods.includes(method.toUpperCase())) return false;
+        if (err instanceof HTTPError) return statuses.includes(err.status);
+        // fetch rejects with a TypeError on network failures
+        return err instanceof TypeError || err.name === "TimeoutError";
+    };
+
+    let lastErr = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (signal?.aborted) throw _abortError(signal);
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timer, timedOut = false, streaming = false;
+        try {
+            signal?.addEventListener("abort", onAbort, { once: true });
+            if (timeout > 0) timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeout);
+
+            let resp = await fetchWithTimeout(controller.signal);
+            if (onDownloadProgress && !onUploadProgress) resp = await _trackDownload(resp, onDownloadProgress);
+            if (options._onResponse) options._onResponse(resp);
+
+            if (!resp.ok) {
+                let body = null;
+                try { body = await _readBody(resp.clone(), "auto", method); } catch (e) {}
+                throw new HTTPError(resp, body, { method, url: fullUrl, headers: _redactHeaders(headers), data });
+            }
+
+            if (stream && !raw) {
+                // Errors while reading the stream reach the consumer instead of triggering retries.
+                // The timeout and abort wiring stay until the stream ends, so `timeout` covers the body too.
+                streaming = true;
+                const events = (async function* () {
+                    try {
+                        yield* _streamEvents(resp, stream, controller.signal);
+                    } catch (err) {
+                        if (signal?.aborted) throw _abortError(signal);
+                        throw timedOut ? Object.assign(new Error("Timeout"), { name: "TimeoutError" }) : err;
+                    } finally {
+                        if (timer) clearTimeout(timer);
+                        signal?.removeEventListener("abort", onAbort);
+                    }
+                })();
+                return onChunk ? (async () => { for await (const item of events) onChunk(item); })() : events;
+            }
+            return raw ? resp : await _readBody(resp, responseType, method);
+        } catch (err) {
+            if (signal?.aborted) throw _abortError(signal);
+            lastErr = timedOut ? Object.assign(new Error("Timeout"), { name: "TimeoutError" }) : err;
+            log("warn", `REST attempt ${attempt} failed:`, lastErr && lastErr.message ? lastErr.message : lastErr);
+            if (attempt >= maxAttempts || !isRetryable(lastErr, attempt)) break;
+
+            const retryAfter = lastErr instanceof HTTPError ? _retryAfterMs(lastErr.headers.get("Retry-After")) : null;
+            const backoff = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+            const wait = retryAfter !== null ? Math.min(maxDelay, retryAfter) : Math.round(jitter ? Math.random() * backoff : backoff);
+            log("info", `Retrying in ${wait}ms...`);
+            await _sleep(wait, signal);
+        } finally {
+            if (!streaming) {
+                if (timer) clearTimeout(timer);
+                signal?.removeEventListener("abort", onAbort);
+            }
+        }
+    }
+    log("error", "REST final failure", lastErr);
+    throw lastErr;
+};
+
+// True while authRefresh runs a refresh() synchronously, so the requests it starts are marked.
+let refreshingAuth = false;
+
+/**
+ * fetch-based HTTP client. Runs the global interceptors (RESTClient.use) and then the
+ * per-call ones (options.interceptors) around every request. An interceptor is an object with
+ * any of:
+ *   - request(config): returns the (modified) config; config is { method, url, headers, data, params, ... }
+ *   - response(result, config): returns the (transformed) result
+ *   - error(err, config): returns a value to recover, throws to replace the error, or returns
+ *     undefined to pass it on. `config.replay(overrides)` re-sends the request once.
+ */
+const RESTClient = async (method, url, options = {}) => {
+    const chain = [...RESTClient.interceptors, ...(options.interceptors || [])];
+    let config = { ...options, method, url, headers: { ...(options.headers || {}) } };
+    if (refreshingAuth) config.skipAuthRefresh = true;
+    for (const interceptor of chain) {
+        if (interceptor.request) config = (await interceptor.request(config)) || config;
+    }
+    const replayed = !!options._replayed;
+    config.replay = (overrides = {}) => {
+        if (replayed) return Promise.reject(new Error("RESTClient: request was already replayed"));
+        const { replay, method: m, url: u, ...rest } = config;
+        return RESTClient(m, u, { ...rest, ...overrides, _replayed: true });
+    };
+    config.replayed = replayed;
+
+    try {
+        let result = await _restRequest(config.method, config.url, config);
+        for (const interceptor of chain) {
+            if (interceptor.response) result = await interceptor.response(result, config);
+        }
+        return result;
+    } catch (err) {
+        let error = err;
+        for (const interceptor of chain) {
+            if (!interceptor.error) continue;
+            try {
+                const recovered = await interceptor.error(error, config);
+                if (recovered !== undefined) return recovered;
+            } catch (e) {
+                error = e;
+            }
+        }
+        throw error;
+    }
+};
+
+RESTClient.interceptors = [];
+
+/**
+ * Registers a global interceptor.
+ * @returns {Function} - Removes the interceptor
+ */
+RESTClient.use = (interceptor) => _register(RESTClient.interceptors, interceptor);
+
+/**
+ * Interceptor refreshing credentials when a request fails with 401 (or `statuses`) and replaying it once.
+ * Concurrent failures share a single `refresh()` call. Requests `refresh()` starts before its first
+ * `await`, and requests with `skipAuthRefresh: true`, are left alone: waiting on the refresh from
+ * inside it would never settle.
+ * @param {object} opts - { refresh: () => Promise, statuses: number[] }
+ */
+const authRefresh = ({ refresh, statuses = [401] } = {}) => {
+    let pending = null;
+    const runRefresh = () => {
+        refreshingAuth = true;
+        try { return refresh(); } finally { refreshingAuth = false; }
+    };
+    return {
+        error: async (err, config) => {
+            if (!statuses.includes(err && err.status) || config.replayed || config.skipAuthRefresh) return undefined;
+            if (!pending) pending = Promise.resolve().then(runRefresh).finally(() => { pending = null; });
+            await pending;
+            return config.replay();
+        }
+    };
+};
+
+/**
+ * Error thrown when a GraphQL response carries an `errors` array.
+ * `path` and `extensions` come from the first error; `data` holds any partial data.
+ */
+class GraphQLError extends Error {
+    constructor(errors, data = null, status) {
+        super(errors.map(e => e.message).join("; ") || "GraphQL error");
+        this.name = "GraphQLError";
+        this.errors = errors;
+        this.path = errors[0]?.path;
+        this.extensions = errors[0]?.extensions;
+        this.data = data;
+        this.status = status;
+    }
+}
+
+const _sha256 = async (text) => {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+};
+
+const queryHashes = new Map();
+
+// Builds the request body; with `persisted`, the query is replaced by its sha256 (Automatic Persisted Queries).
+const _graphqlPayload = async ({ query, variables, operationName, persisted = false, includeQuery = true }) => {
+    const payload = { variables };
+    if (operationName) payload.operationName = operationName;
+    if (persisted) {
+        if (!queryHashes.has(query)) queryHashes.set(query, await _sha256(query));
+        payload.extensions = { persistedQuery: { version: 1, sha256Hash: queryHashes.get(query) } };
+    }
+    if (!persisted || includeQuery) payload.query = query;
+    return payload;
+};
+
+const _isPersistedQueryNotFound = body => Array.isArray(body?.errors) && body.errors.some(e =>
+    e.message === "PersistedQueryNotFound" || e.extensions?.code === "PERSISTED_QUERY_NOT_FOUND");
+
+// Returns the body, or throws a GraphQLError when it has errors (unless errorPolicy is 'all').
+const _graphqlResult = (body, errorPolicy = "none", status) => {
+    if (Array.isArray(body?.errors) && body.errors.length && errorPolicy !== "all") {
+        throw new GraphQLError(body.errors, body.data ?? null, status);
+    }
+    return body;
+};
+
+// GraphQL servers may answer errors with a 4xx/5xx; surface their body like a 200 with errors.
+const _graphqlPost = (url, payload, opts) => RESTClient("POST", url, {
+    ...opts,
+    data: payload,
+    headers: { "Content-Type": "application/json", ...(opts.headers || {}) }
+}).then(body => ({ body }), err => {
+    if (err instanceof HTTPError && Array.isArray(err.body?.errors)) return { body: err.body, status: err.status };
+    throw err;
+});
+
+/**
+ * Sends a GraphQL operation.
+ * @param {string} url - GraphQL endpoint
+ * @param {object} options - { query, variables, operationName, errorPolicy: 'none'|'all', persisted, ...RESTClient options }
+ * @returns {Promise<{data: object, errors?: Array}>} - The response body
+ */
+const GraphQLClient = async (url, { query, variables, operationName, errorPolicy = "none", persisted = false, ...opts }) => {
+    if (!query) throw new Error("GraphQL query is required.");
+    let { body, status } = await _graphqlPost(url, await _graphqlPayload({ query, variables, operationName, persisted, includeQuery: false }), opts);
+    if (persisted && _isPersistedQueryNotFound(body)) {
+        ({ body, status } = await _graphqlPost(url, await _graphqlPayload({ query, variables, operationName, persisted }), opts));
+    }
+    return _graphqlResult(body, errorPolicy, status);
+};
+
+/**
+ * GET cache used by RESTAdapter: deduplicates identical in-flight requests, keeps responses for
+ * `ttl` ms in an LRUCache of `max` entries, optionally serves stale entries while revalidating
+ * (`staleWhileRevalidate`, reporting new data through `onChange(key, data)`), and revalidates with
+ * If-None-Match / If-Modified-Since when the server sent an ETag / Last-Modified.
+ */
+const _createRESTCache = ({ ttl = 30000, max = 100, staleWhileRevalidate = false, onChange } = {}) => {
+    const store = new LRUCache(max);
+    const inflight = new Map();
+
+    const fetchEntry = (key, send) => {
+        if (inflight.has(key)) return inflight.get(key);
+        const previous = store.get(key);
+        const conditional = {};
+        if (previous?.etag) conditional["If-None-Match"] = previous.etag;
+        if (previous?.lastModified) conditional["If-Modified-Since"] = previous.lastModified;
+
+        let meta = {};
+        const onResponse = resp => {
+            meta = { etag: resp.headers.get("ETag"), lastModified: resp.headers.get("Last-Modified") };
+        };
+        const promise = send(conditional, onResponse).then(
+            data => {
+                const entry = { data, expires: Date.now() + ttl, ...meta };
+                store.set(key, entry);
+                return entry;
+            },
+            err => {
+                // Not modified: the cached body is still valid
+                if (err && err.status === 304 && previous) {
+                    const entry = { ...previous, expires: Date.now() + ttl };
+                    store.set(key, entry);
+                    return entry;
+                }
+                throw err;
+            }
+        ).finally(() => inflight.delete(key));
+        inflight.set(key, promise);
+        return promise;
+    };
+
+    return {
+        get: (key, send, onUpdate) => {
+            const cached = store.get(key);
+            if (cached && cached.expires > Date.now()) return Promise.resolve(cached.data);
+            if (cached && staleWhileRevalidate) {
+                fetchEntry(key, send).then(entry => {
+                    if (JSON.stringify(entry.data) === JSON.stringify(cached.data)) return;
+                    onChange?.(key, entry.data);
+                    onUpdate?.(entry.data);
+                }).catch(() => {});
+                return Promise.resolve(cached.data);
+            }
+            return fetchEntry(key, send).then(entry => entry.data);
+        },
+        // Removes `key` and every key below it ('users' also drops 'users/5' and 'users?page=2'); no key clears all.
+        invalidate: (key) => {
+            if (key === undefined) return store.clear();
+            const prefix = String(key).replace(/^\/+/, "");
+            store.keys().forEach(k => {
+                if (k === prefix || k.startsWith(prefix + "/") || k.startsWith(prefix + "?")) store.delete(k);
+            });
+        }
+    };
+};
+
+const RESTAdapter = (baseUrl, defaultOptions = {}) => {
+    const { cache: cacheOptions, ...clientOptions } = defaultOptions;
+    const interceptors = [...(clientOptions.interceptors || [])];
+    const cache = cacheOptions ? _createRESTCache(cacheOptions === true ? {} : cacheOptions) : null;
+
+    const call = (method, endpoint = "", options = {}) => {
+        const url = baseUrl.replace(/\/+$/, "") + "/" + endpoint.replace(/^\/+/, "");
+        const { cache: _cache, invalidate, onChange, ...rest } = options;
+        const request = RESTClient(method, url, { ...clientOptions, ...rest, interceptors: [...interceptors, ...(rest.interceptors || [])] });
+        if (!cache || !invalidate) return request;
+        return request.then(result => {
+            [].concat(invalidate).forEach(key => cache.invalidate(key));
+            return result;
+        });
+    };
+
+    const cachedGet = (endpoint = "", params, opts) => {
+        const query = __(params) ? new URLSearchParams(Object.entries(params).sort()).toString() : "";
+        const key = endpoint.replace(/^\/+/, "") + (query ? "?" + query : "");
+        const send = (conditional, onResponse) => call("GET", endpoint, {
+            ...opts, params, headers: { ...(opts.headers || {}), ...conditional }, _onResponse: onResponse
+        });
+        return cache.get(key, send, opts.onChange);
+    };
+
+    return {
+        use: (interceptor) => _register(interceptors, interceptor),
+        get: (endpoint, params, opts = {}) => (cache && opts.cache !== false)
+            ? cachedGet(endpoint, params, opts)
+            : call("GET", endpoint, { ...opts, params }),
+        post: (endpoint, data, opts = {}) => call("POST", endpoint, { ...opts, data }),
+        put: (endpoint, data, opts = {}) => call("PUT", endpoint, { ...opts, data }),
+        patch: (endpoint, data, opts = {}) => call("PATCH", endpoint, { ...opts, data }),
+        delete: (endpoint, opts = {}) => call("DELETE", endpoint, opts),
+        _: (method, endpoint, opts = {}) => call(method.toUpperCase(), endpoint, opts),
+        invalidate: (key) => cache?.invalidate(key),
+    };
+};
+
+const _queryKey = (query, variables) => `${query}|${JSON.stringify(variables || {})}`;
+
+/**
+ * Normalized GraphQL cache. Objects with `__typename` and `id` (or `_id`) are stored once as
+ * entities ('User:1'); query results keep references to them, so an entity updated by any
+ * query or mutation is seen by every result containing it.
+ * @param {object} [options] - { dataIdFromObject(obj): string|null }
+ */
+const GraphQLCache = (options = {}) => {
+    const dataIdFromObject = options.dataIdFromObject || (obj =>
+        obj.__typename && (obj.id ?? obj._id) !== undefined ? `${obj.__typename}:${obj.id ?? obj._id}` : null);
+    const entities = new Map();
+    const results = new Map();
+    const watchers = new Set(); // { key, deps, callback }
+
+    const normalize = (value, changed) => {
+        if (Array.isArray(value)) return value.map(v => normalize(v, changed));
+        if (!__(value)) return value;
+        const fields = {};
+        for (const [k, v] of Object.entries(value)) fields[k] = normalize(v, changed);
+        const id = dataIdFromObject(value);
+        if (!id) return fields;
+        const previous = entities.get(id) || {};
+        const merged = { ...previous, ...fields };
+        if (JSON.stringify(previous) !== JSON.stringify(merged)) {
+            entities.set(id, merged);
+            changed.add(id);
+        }
+        return { __ref: id };
+    };
+
+    // Returns undefined when a referenced entity is missing (e.g. evicted). `seen` keeps cycles finite.
+    const denormalize = (value, deps, seen = new Map()) => {
+        if (Array.isArray(value)) {
+            const out = value.map(v => denormalize(v, deps, seen));
+            return out.includes(undefined) ? undefined : out;
+        }
+        if (!__(value)) return value;
+        if (value.__ref) {
+            deps.add(value.__ref);
+            if (seen.has(value.__ref)) return seen.get(value.__ref);
+            if (!entities.has(value.__ref)) return undefined;
+            const out = {};
+            seen.set(value.__ref, out);
+            for (const [k, v] of Object.entries(entities.get(value.__ref))) {
+                out[k] = denormalize(v, deps, seen);
+                if (out[k] === undefined && v !== undefined) return undefined;
+            }
+            return out;
+        }
+        const out = {};
+        for (const [k, v] of Object.entries(value)) {
+            out[k] = denormalize(v, deps, seen);
+            if (out[k] === undefined && v !== undefined) return undefined;
+        }
+        return out;
+    };
+
+    const readWithDeps = (key) => {
+        const deps = new Set();
+        return { data: results.has(key) ? denormalize(results.get(key), deps) : undefined, deps };
+    };
+
+    const notify = (changed, key) => {
+        watchers.forEach(w => {
+            if (w.key !== key && ![...changed].some(id => w.deps.has(id))) return;
+            const { data, deps } = readWithDeps(w.key);
+            w.deps = deps;
+            if (data !== undefined) w.callback(data);
+        });
+    };
+
+    return {
+        read: (key) => readWithDeps(key).data,
+        write: (key, data) => {
+            const changed = new Set();
+            results.set(key, normalize(data, changed));
+            notify(changed, key);
+        },
+        // Stores the entities of a result without recording it as a query (used for mutations)
+        merge: (data) => {
+            const changed = new Set();
+            normalize(data, changed);
+            notify(changed);
+        },
+        readEntity: (id) => entities.get(id),
+        writeEntity: (id, fields) => {
+            entities.set(id, { ...(entities.get(id) || {}), ...fields });
+            notify(new Set([id]));
+        },
+        evict: (id) => {
+            entities.delete(id);
+            notify(new Set([id]));
+        },
+        reset: () => {
+            entities.clear();
+            results.clear();
+        },
+        watch: (key, callback) => {
+            const watcher = { key, callback, deps: readWithDeps(key).deps };
+            watchers.add(watcher);
+            return () => watchers.delete(watcher);
+        },
+        identify: (obj) => dataIdFromObject(obj),
+    };
+};
+
+const GraphQLAdapter = (baseUrl, defaultOptions = {}) => {
+    const { batch, cache: cacheOption, wsUrl, connectionParams, ws: wsOptions = {}, ...clientOptions } = defaultOptions;
+    const cache = cacheOption === true ? GraphQLCache() : (cacheOption || null);
+    const interceptors = [...(clientOptions.interceptors || [])];
+    const { interval = 0, max = 10 } = __(batch) ? batch : {};
+    let queue = [];
+
+    const withDefaults = (opts) => ({ ...clientOptions, ...opts, interceptors: [...interceptors, ...(opts.interceptors || [])] });
+    const call = (query, variables = {}, opts = {}) => GraphQLClient(baseUrl, { query, variables, ...withDefaults(opts) });
+
+    // Sends every query queued during the same tick as one array request.
+    const flush = async () => {
+        const pending = queue;
+        queue = [];
+        if (!pending.length) return;
+        if (pending.length === 1) {
+            const [{ query, variables, opts, resolve, reject }] = pending;
+            return call(query, variables, opts).then(resolve, reject);
         }
-        if (verbose) {
-            const safeHeaders = { ...fetchOptions.headers };
-            ['Authorization', 'Cookie', 'Set-Cookie'].forEach(key => {
-                if (safeHeaders[key]) safeHeaders[key] = '[REDACTED]';
+        const options = withDefaults({});
+        const { errorPolicy = "none", persisted = false } = options;
+        try {
+            const payloads = await Promise.all(pending.map(({ query, variables, opts }) =>
+                _graphqlPayload({ query, variables, operationName: opts.operationName, persisted, includeQuery: false })));
+            const { body, status } = await _graphqlPost(baseUrl, payloads, options);
+            if (!Array.isArray(body)) throw new Error("GraphQL batch: expected an array response");
+            pending.forEach(({ query, variables, opts, resolve, reject }, i) => {
+                // The server did not know this hash yet: resend that operation with its full text.
+                if (persisted && _isPersistedQueryNotFound(body[i])) {
+                    return _graphqlPayload({ query, variables, operationName: opts.operationName, persisted })
+                        .then(payload => _graphqlPost(baseUrl, payload, options))
+                        .then(res => _graphqlResult(res.body, opts.errorPolicy || errorPolicy, res.status))
+                        .then(resolve, reject);
+                }
+                try { resolve(_graphqlResult(body[i], opts.errorPolicy || errorPolicy, status)); } catch (err) { reject(err); }
             });
-            log("info", "REST request", { method, fullUrl, headers: safeHeaders, body: '[OMITTED for security]' });
+        } catch (err) {
+            pending.forEach(({ reject }) => reject(err));
         }
-        return fetch(fullUrl, fetchOptions);
     };
 
-    let maxAttempts = typeof retry === "number" ? retry + 1 : (retry?.attempts || 1);
-    const baseDelay = retry?.delay || 300;
-    const factor = retry?.factor || 1;
+    const enqueue = (query, variables = {}, opts = {}) => new Promise((resolve, reject) => {
+        queue.push({ query, variables, opts, resolve, reject });
+        if (queue.length >= max) flush();
+        else if (queue.length === 1) setTimeout(flush, interval);
+    });
 
-    let lastErr = null;
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        let controller, timer;
-        try {
-            controller = new AbortController();
-            const signal = controller.signal;
-            if (timeout > 0) timer = setTimeout(() => controller.abort(), timeout);
+    // Queries may be batched (opt out per call with { batch: false }); mutations are always sent alone.
+    const send = (query, variables, opts = {}) => {
+        const { batch: batchThis = true, ...rest } = opts;
+        const plain = Object.keys(rest).every(k => k === "operationName" || k === "errorPolicy");
+        return batch && batchThis && plain ? enqueue(query, variables, rest) : call(query, variables, rest);
+    };
 
-            const resp = await fetchWithTimeout(signal);
-            if (timer) clearTimeout(timer);
+    // Network request that also stores the result in the normalized cache
+    const fetchQuery = (query, variables, opts) => send(query, variables, opts).then(body => {
+        if (cache && body?.data) cache.write(_queryKey(query, variables), body.data);
+        return body;
+    });
 
-            if (!resp.ok) throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
+    const query = (query, variables, opts = {}) => {
+        const { fetchPolicy = "cache-first", ...rest } = opts;
+        if (!cache || fetchPolicy === "network-only") return fetchQuery(query, variables, rest);
+        const cached = cache.read(_queryKey(query, variables));
+        if (cached === undefined) return fetchQuery(query, variables, rest);
+        if (fetchPolicy === "cache-and-network") fetchQuery(query, variables, rest).catch(() => {});
+        return Promise.resolve({ data: cached });
+    };
 
-            return raw ? resp : await resp.json();
-        } catch (err) {
-            lastErr = err;
-            if (err && err.name === 'AbortError') throw new Error('Timeout');
-            log("warn", `REST attempt ${attempt} failed:`, err && err.message ? err.message : err);
-            if (attempt < maxAttempts) {
-                const wait = baseDelay * Math.pow(factor, attempt - 1);
-                log("info", `Retrying in ${wait}ms...`);
-                await new Promise(r => setTimeout(r, wait));
-            }
-        } finally {
-            if (timer) clearTimeout(timer);
-        }
-    }
-    log("error", "REST final failure", lastErr);
-    throw lastErr;
-};
+    /**
+     * Observable query: emits { data } now (from cache, if possible) and whenever an entity it
+     * depends on changes in the cache; `refetch()` goes to the network again.
+     */
+    const watchQuery = (q, variables, opts = {}) => {
+        if (!cache) throw new Error("GraphQLAdapter: watchQuery needs the cache option");
+        const key = _queryKey(q, variables);
+        const observers = new Set();
+        let stopWatching = null;
+        const emit = (kind, value) => observers.forEach(o => o[kind]?.(value));
+        const refetch = () => fetchQuery(q, variables, opts).catch(err => { emit("error", err); throw err; });
+
+        return {
+            subscribe: (observer) => {
+                const o = typeof observer === "function" ? { next: observer } : observer;
+                observers.add(o);
+                const cached = cache.read(key);
+                if (cached !== undefined) o.next?.({ data: cached });
+                if (!stopWatching) {
+                    stopWatching = cache.watch(key, data => emit("next", { data }));
+                    // Results that reach the cache are emitted by the watcher; anything else is emitted here
+                    query(q, variables, { ...opts, fetchPolicy: opts.fetchPolicy || "cache-and-network" })
+                        .then(body => { if (cache.read(key) === undefined) emit("next", body); })
+                        .catch(err => emit("error", err));
+                }
+                return {
+                    unsubscribe: () => {
+                        observers.delete(o);
+                        if (!observers.size && stopWatching) { stopWatching(); stopWatching = null; }
+                    }
+                };
+            },
+            refetch,
+            getCurrentResult: () => ({ data: cache.read(key) }),
+        };
+    };
 
-const GraphQLClient = (url, { query, variables, ...opts }) => {
-    if (!query) throw new Error("GraphQL query is required.");
-    return RESTClient("POST", url, {
-        data: { query, variables },
-        headers: { "Content-Type": "application/json", ...(opts.headers || {}) },
-        ...opts
-    });
-};
+    // Subscriptions: graphql-transport-ws protocol, multiplexed by id over one lazily opened WSClient.
+    const subscriptions = new Map(); // id -> { payload, onNext, onError, onComplete }
+    let socket = null;
+    let acknowledged = false;
+    let nextId = 0;
 
-const RESTAdapter = (baseUrl, defaultOptions = {}) => {
-    const call = (method, endpoint = "", options = {}) => {
-        const url = baseUrl.replace(/\/+$/, "") + "/" + endpoint.replace(/^\/+/, "");
-        return RESTClient(method, url, { ...defaultOptions, ...options });
+    const subscriptionUrl = () => {
+        if (wsUrl) return wsUrl;
+        const absolute = $loc.href ? new URL(baseUrl, $loc.href).href : baseUrl;
+        return absolute.replace(/^http/, "ws");
     };
 
-    return {
-        get: (endpoint, params, opts = {}) => call("GET", endpoint, { ...opts, params }),
-        post: (endpoint, data, opts = {}) => call("POST", endpoint, { ...opts, data }),
-        put: (endpoint, data, opts = {}) => call("PUT", endpoint, { ...opts, data }),
-        patch: (endpoint, data, opts = {}) => call("PATCH", endpoint, { ...opts, data }),
-        delete: (endpoint, opts = {}) => call("DELETE", endpoint, opts),
-        _: (method, endpoint, opts = {}) => call(method.toUpperCase(), endpoint, opts),
+    const sendSubscribe = (id) => socket.sendMessage({ id, type: "subscribe", payload: subscriptions.get(id).payload });
+
+    const openSocket = () => {
+        let client = null;
+        const isCurrent = () => socket === client;
+        client = WSClient(subscriptionUrl(), {
+            logger: clientOptions.logger, queueSize: 0, ...wsOptions, protocols: "graphql-transport-ws",
+            onOpen: async (e) => {
+                acknowledged = false;
+                const payload = typeof connectionParams === "function" ? await connectionParams() : connectionParams;
+                if (isCurrent()) client.sendMessage({ type: "connection_init", payload });
+                wsOptions.onOpen?.(e);
+            },
+            onMessage: (e) => {
+                if (!isCurrent()) return;
+                let msg;
+                try { msg = JSON.parse(e.data); } catch (err) { return; }
+                const sub = subscriptions.get(msg.id);
+                if (msg.type === "connection_ack") {
+                    // Also re-subscribes everything still active after a reconnect
+                    acknowledged = true;
+                    subscriptions.forEach((_, id) => sendSubscribe(id));
+                } else if (msg.type === "ping") {
+                    client.sendMessage({ type: "pong" });
+                } else if (msg.type === "next") {
+                    sub?.onNext?.(msg.payload);
+                } else if (msg.type === "error") {
+                    subscriptions.delete(msg.id);
+                    sub?.onError?.(new GraphQLError(Array.isArray(msg.payload) ? msg.payload : [msg.payload]));
+                } else if (msg.type === "complete") {
+                    subscriptions.delete(msg.id);
+                    sub?.onComplete?.();
+                }
+                wsOptions.onMessage?.(e);
+            },
+            onClose: (e) => {
+                if (isCurrent()) acknowledged = false;
+                wsOptions.onClose?.(e);
+            },
+            onReconnectFail: (err) => {
+                if (!isCurrent()) return;
+                socket = null;
+                subscriptions.forEach(sub => sub.onError?.(err));
+                subscriptions.clear();
+                wsOptions.onReconnectFail?.(err);
+            }
+        });
+        socket = client;
     };
-};
 
-const GraphQLAdapter = (baseUrl, defaultOptions = {}) => {
-    const call = (query, variables = {}, opts = {}) => {
-        return GraphQLClient(baseUrl, { query, variables, ...defaultOptions, ...opts });
+    /**
+     * Starts a GraphQL subscription.
+     * @returns {{unsubscribe: Function}}
+     */
+    const subscribe = (query, variables = {}, { onNext, onError, onComplete, operationName } = {}) => {
+        const id = String(++nextId);
+        const payload = { query, variables };
+        if (operationName) payload.operationName = operationName;
+        subscriptions.set(id, { payload, onNext, onError, onComplete });
+        if (!socket) openSocket();
+        else if (acknowledged) sendSubscribe(id);
+        return {
+            unsubscribe: () => {
+                if (!subscriptions.delete(id)) return;
+                if (acknowledged) socket.sendMessage({ id, type: "complete" });
+                if (!subscriptions.size && socket) {
+                    // Last subscription gone: drop the connection until the next subscribe()
+                    const client = socket;
+                    socket = null;
+                    acknowledged = false;
+                    client.closeIntentionally();
+                }
+            }
+        };
     };
 
     return {
-        query: (query, variables, opts = {}) => call(query, variables, opts),
-        mutate: (mutation, variables, opts = {}) => call(mutation, variables, opts),
+        use: (interceptor) => _register(interceptors, interceptor),
+        query,
+        watchQuery,
+        subscribe,
+        // Mutation results are merged into the cache; `update(cache, body)` can patch it further.
+        mutate: (mutation, variables, opts = {}) => {
+            const { update, ...rest } = opts;
+            return call(mutation, variables, rest).then(body => {
+                if (cache && body?.data) cache.merge(body.data);
+                if (cache && update) update(cache, body);
+                return body;
+            });
+        },
+        cache,
     };
 };
 
+/**
+ * Error a WSClient `request` rejects with when the server replies with an `error`.
+ * `code` and `data` are copied from the error object when it has them.
+ */
+class RPCError extends Error {
+    constructor(error, method) {
+        super(error?.message || (typeof error === "string" ? error : `RPC call "${method}" failed`));
+        this.name = "RPCError";
+        this.code = error?.code;
+        this.data = error?.data;
+        this.method = method;
+    }
+}
+
+// Message shapes for WSClient request/subscribe. `reply` returns the reply id or undefined,
+// `topic` returns { topic, data } for a topic message or undefined.
+const WS_RPC_PROTOCOLS = {
+    default: {
+        request: (id, method, params) => ({ id, method, params }),
+        subscribe: topic => ({ method: "subscribe", params: { topic } }),
+        unsubscribe: topic => ({ method: "unsubscribe", params: { topic } }),
+        reply: msg => ("result" in msg || "error" in msg ? msg.id : undefined),
+        topic: msg => (msg.topic !== undefined && msg.id === undefined ? { topic: msg.topic, data: msg.data } : undefined)
+    },
+    jsonrpc: {
+        request: (id, method, params) => ({ jsonrpc: "2.0", id, method, params }),
+        subscribe: topic => ({ jsonrpc: "2.0", method: "subscribe", params: [topic] }),
+        unsubscribe: topic => ({ jsonrpc: "2.0", method: "unsubscribe", params: [topic] }),
+        reply: msg => ("result" in msg || "error" in msg ? msg.id : undefined),
+        // Server notifications ({ method, params } without id) are routed by method name
+        topic: msg => (msg.method !== undefined && msg.id === undefined ? { topic: msg.method, data: msg.params } : undefined)
+    }
+};
+
+/**
+ * WebSocket client with auto-reconnect and exponential backoff.
+ * Returns a stable handle that survives reconnects: messages sent while disconnected are queued
+ * (up to `queueSize`) and flushed once the socket is open again.
+ * @param {string} url - The WebSocket URL
+ * @param {object} [options] - { onOpen, onClose, onMessage, onError, onReconnectFail, protocols, verbose, logger,
+ *   autoReconnect, reconnectRetries, reconnectDelay, connectTimeout, queueSize, json, heartbeat }
+ *   `json: true` parses incoming messages and calls onMessage(data, event).
+ *   `heartbeat: { interval, timeout, message, isPong }` pings the server and reconnects when no reply arrives in time.
+ *   `rpc` selects the request/subscribe message shapes: "default" ({ id, method, params }), "jsonrpc" or a custom object.
+ *   `requestTimeout` is the default timeout for `request` in ms.
+ * @returns {object} - { send, sendMessage, request, subscribe, reconnect, close, closeIntentionally, readyState, socket, queued }
+ */
 const WSClient = (url, options = {}) => {
     const { onOpen, onClose, onMessage, onError, onReconnectFail, protocols, verbose = false, logger = defaultLogger,
-            autoReconnect = true, reconnectRetries = 5, reconnectDelay = 1000, connectTimeout = 5000 } = options;
+            autoReconnect = true, reconnectRetries = 5, reconnectDelay = 1000, connectTimeout = 5000,
+            queueSize = 100, json = false, heartbeat = null, rpc = "default", requestTimeout = 10000 } = options;
     const log = (lvl, ...args) => { if (logger && logger[lvl]) logger[lvl](...args); };
 
+    const {
+        interval: pingInterval = 30000,
+        timeout: pongTimeout = 10000,
+        message: pingMessage = json ? { type: "ping" } : "ping",
+        isPong = data => (json ? data?.type === "pong" : data === "pong")
+    } = heartbeat || {};
+
     let ws;
     let retryCount = 0;
     let isClosedIntentionally = false;
+    let reconnectTimer = null;
+    let pingTimer = null;
+    let pongTimer = null;
+    const queue = [];
+    const protocol = typeof rpc === "string" ? WS_RPC_PROTOCOLS[rpc] : { ...WS_RPC_PROTOCOLS.default, ...rpc };
+    if (!protocol) throw new Error(`WSClient: unknown rpc protocol "${rpc}"`);
+    let requestId = 0;
+    const pending = new Map(); // id -> { resolve, reject, timer, method }
+    const topics = new Map();  // topic -> Set of handlers
+
+    const serialize = data => (typeof data === "string" ? data : JSON.stringify(data));
+
+    const stopHeartbeat = () => {
+        clearInterval(pingTimer);
+        clearTimeout(pongTimer);
+        pingTimer = pongTimer = null;
+    };
+
+    // A missing reply within `timeout` means a half-open connection. Its close handshake may never
+    // complete, so drop the socket without waiting for it and connect again.
+    const startHeartbeat = () => {
+        if (!heartbeat) return;
+        stopHeartbeat();
+        pingTimer = setInterval(() => {
+            if (!ws || ws.readyState !== WebSocket.OPEN) return;
+            try { ws.send(serialize(pingMessage)); } catch (e) {}
+            if (!pongTimer) {
+                pongTimer = setTimeout(() => {
+                    log("warn", "WS heartbeat timed out, reconnecting");
+                    closeSocket();
+                    init();
+                }, pongTimeout);
+            }
+        }, pingInterval);
+    };
+
+    const flushQueue = () => {
+        while (queue.length && ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(queue.shift());
+        }
+    };
+
+    const rejectPending = (err) => {
+        pending.forEach(({ reject, timer }) => { clearTimeout(timer); reject(err); });
+        pending.clear();
+    };
+
+    // Settles a pending request or dispatches a topic message; returns true when the message was consumed.
+    const routeMessage = (data) => {
+        if (!pending.size && !topics.size) return false;
+        let msg = data;
+        if (typeof msg === "string") {
+            try { msg = JSON.parse(msg); } catch (e) { return false; }
+        }
+        if (!msg || typeof msg !== "object") return false;
+        const id = protocol.reply(msg);
+        if (id !== undefined && pending.has(id)) {
+            const { resolve, reject, timer, method } = pending.get(id);
+            clearTimeout(timer);
+            pending.delete(id);
+            if (msg.error != null) reject(new RPCError(msg.error, method));
+            else resolve(msg.result);
+            return true;
+        }
+        const topicMsg = protocol.topic(msg);
+        if (topicMsg && topics.has(topicMsg.topic)) {
+            topics.get(topicMsg.topic).forEach(handler => {
+                try { handler(topicMsg.data, msg); } catch (err) { log("error", "WS topic handler failed", err); }
+            });
+            return true;
+        }
+        return false;
+    };
 
+    // Only ever touches its own socket: by the time it settles, `ws` may belong to a newer attempt.
     const connect = async () => {
-        ws = new WebSocket(url, protocols);
+        const socket = ws = new WebSocket(url, protocols);
 
-        const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('Connection timeout')), connectTimeout));
-        const openPromise = new Promise(resolve => ws.onopen = resolve);
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Connection timeout')), connectTimeout);
+        });
+        const openPromise = new Promise(resolve => socket.onopen = resolve);
 
-        return Promise.race([timeoutPromise, openPromise]).then(() => ws).catch(err => {
-            log("error", "WS connect failed", err);
-            try { ws.close(); } catch(e){}
+        return Promise.race([timeoutPromise, openPromise]).finally(() => clearTimeout(timer)).catch(err => {
+            if (socket === ws) log("error", "WS connect failed", err);
+            try { socket.close(); } catch(e){}
             throw err;
         });
     };
 
+    // connect() only resolves once the socket is open, so the open bookkeeping runs from init()
+    const handleOpen = e => {
+        retryCount = 0;
+        if (verbose) log("info", "WS open", url);
+        // Topics go first so the server knows about them before any queued message is replayed
+        topics.forEach((_, topic) => ws.send(serialize(protocol.subscribe(topic))));
+        flushQueue();
+        startHeartbeat();
+        onOpen?.(e);
+    };
+
     const setupHandlers = () => {
-        ws.onopen = e => {
-            retryCount = 0;
-            if (verbose) log("info", "WS open", url);
-            onOpen?.(e);
-        };
         ws.onclose = e => {
+            stopHeartbeat();
+            rejectPending(new Error("WS disconnected"));
             if (verbose) log("warn", "WS closed", e);
             onClose?.(e);
             if (!isClosedIntentionally && autoReconnect && retryCount < reconnectRetries) {
                 retryCount++;
                 const delay = reconnectDelay * Math.pow(2, retryCount - 1);
                 log("info", `WS reconnect attempt ${retryCount}/${reconnectRetries} in ${delay}ms`);
-                setTimeout(init, delay);
+                reconnectTimer = setTimeout(init, delay);
             }
         };
         ws.onmessage = e => {
+            // Any traffic proves the connection is alive
+            clearTimeout(pongTimer);
+            pongTimer = null;
             if (verbose) log("debug", "WS message", '[SANITIZED]');
-            onMessage?.(e);
+            let data = e.data;
+            if (json && typeof data === "string") {
+                try { data = JSON.parse(data); } catch (err) { log("warn", "WS message is not valid JSON"); }
+            }
+            if (heartbeat && isPong(data)) return;
+            if (routeMessage(data)) return;
+            json ? onMessage?.(data, e) : onMessage?.(e);
         };
         ws.onerror = e => {
             log("error", "WS error", e);
@@ -629,52 +3112,247 @@ const WSClient = (url, options = {}) => {
         };
     };
 
+    let generation = 0; // Bumped by every attempt, so a superseded one (see reconnect) stops
     const init = async () => {
+        reconnectTimer = null;
+        if (isClosedIntentionally) return;
+        const gen = ++generation;
+        const attempt = connect();
+        const socket = ws;
         try {
-            ws = await connect();
+            const openEvent = await attempt;
+            if (gen !== generation) {
+                try { socket.close(); } catch(e){}
+                return;
+            }
+            if (isClosedIntentionally) { // closed while connecting
+                closeSocket();
+                return;
+            }
             setupHandlers();
+            handleOpen(openEvent);
         } catch (err) {
+            if (gen !== generation || isClosedIntentionally) return;
             if (autoReconnect && retryCount < reconnectRetries) {
                 retryCount++;
                 const delay = reconnectDelay * Math.pow(2, retryCount - 1);
                 log("warn", `WS initial connect failed, retry ${retryCount} in ${delay}ms`, err);
-                setTimeout(init, delay);
+                reconnectTimer = setTimeout(init, delay);
             } else {
                 onReconnectFail?.(err);
-                throw err;
             }
         }
     };
 
+    // Detaches the current socket's handlers before closing it, so the close does not schedule a reconnect.
+    const closeSocket = () => {
+        stopHeartbeat();
+        rejectPending(new Error("WS disconnected"));
+        if (!ws) return;
+        ws.onclose = ws.onmessage = ws.onerror = ws.onopen = null;
+        try { ws.close(); } catch(e){}
+    };
+
     init();
 
-    ws.sendMessage = (data) => {
-        if (ws.readyState === WebSocket.OPEN) {
+    const handle = {
+        get readyState() { return ws ? ws.readyState : WebSocket.CONNECTING; },
+        get socket() { return ws; },
+        get queued() { return queue.length; },
+        send: (data) => {
+            let payload;
             try {
-                ws.send(typeof data === "string" ? data : JSON.stringify(data));
+                payload = serialize(data);
             } catch (err) {
                 log("error", "WS sendMessage: Failed to serialize data", err);
+                return false;
+            }
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(payload);
+                return true;
             }
+            if (isClosedIntentionally || queueSize <= 0) {
+                log("warn", "WS sendMessage: socket not open");
+                return false;
+            }
+            if (queue.length >= queueSize) {
+                queue.shift();
+                log("warn", "WS send queue full, dropping oldest message");
+            }
+            queue.push(payload);
+            return true;
+        },
+        /**
+         * Sends `method` with `params` and resolves with the `result` of the reply carrying the same id.
+         * Rejects with an RPCError on an `error` reply, a TimeoutError after `timeout` ms, or when the socket closes.
+         */
+        request: (method, params, { timeout = requestTimeout } = {}) => new Promise((resolve, reject) => {
+            const id = ++requestId;
+            const timer = timeout > 0 ? setTimeout(() => {
+                pending.delete(id);
+                reject(Object.assign(new Error("Timeout"), { name: "TimeoutError" }));
+            }, timeout) : null;
+            pending.set(id, { resolve, reject, timer, method });
+            if (!handle.send(protocol.request(id, method, params))) {
+                clearTimeout(timer);
+                pending.delete(id);
+                reject(new Error("WS disconnected"));
+            }
+        }),
+        /**
+         * Routes messages for `topic` to `handler(data, message)`. The server is told about the topic
+         * on the first handler, and again after every reconnect. Returns an unsubscribe function.
+         */
+        subscribe: (topic, handler) => {
+            if (!topics.has(topic)) {
+                topics.set(topic, new Set());
+                // While disconnected, handleOpen subscribes every topic once the socket opens
+                if (ws && ws.readyState === WebSocket.OPEN) ws.send(serialize(protocol.subscribe(topic)));
+            }
+            topics.get(topic).add(handler);
+            return () => {
+                const handlers = topics.get(topic);
+                if (!handlers || !handlers.delete(handler) || handlers.size) return;
+                topics.delete(topic);
+                if (ws && ws.readyState === WebSocket.OPEN) ws.send(serialize(protocol.unsubscribe(topic)));
+            };
+        },
+        reconnect: () => {
+            isClosedIntentionally = false;
+            retryCount = 0;
+            clearTimeout(reconnectTimer);
+            closeSocket();
+            init();
+        },
+        closeIntentionally: () => {
+            isClosedIntentionally = true;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            queue.length = 0;
+            stopHeartbeat();
+            rejectPending(new Error("WS closed"));
+            try { ws.close(); } catch(e){}
+        },
+    };
+    handle.sendMessage = handle.send;
+    handle.close = handle.closeIntentionally;
+    return handle;
+};
+
+/**
+ * Server-sent events client with the same options and lifecycle as WSClient.
+ * Built on RESTClient's 'sse' streaming (so interceptors apply), it resumes with the
+ * Last-Event-ID header after reconnecting and honours the server's `retry:` delay.
+ * @param {string} url - The event stream URL
+ * @param {object} [options] - { onOpen, onMessage, onError, onClose, onReconnectFail, events: { name: handler },
+ *   withCredentials, headers, json, verbose, logger, autoReconnect, reconnectRetries, reconnectDelay }
+ * @returns {{close: Function, reconnect: Function, readyState: number, lastEventId: string|null}}
+ */
+const SSEClient = (url, options = {}) => {
+    const { onOpen, onClose, onMessage, onError, onReconnectFail, events = {}, headers = {}, withCredentials = false,
+            json = true, verbose = false, logger = defaultLogger,
+            autoReconnect = true, reconnectRetries = 5, reconnectDelay = 1000 } = options;
+    const log = (lvl, ...args) => { if (logger && logger[lvl]) logger[lvl](...args); };
+
+    let controller = null;
+    let timer = null;
+    let generation = 0; // Bumped on every (re)connect so a superseded stream stops dispatching
+    let retryCount = 0;
+    let isClosedIntentionally = false;
+    let readyState = SSEClient.CONNECTING;
+    let lastEventId = null;
+    let serverRetry = null;
+
+    const dispatch = (message) => {
+        if (message.id !== undefined) lastEventId = message.id;
+        if (message.retry !== undefined) serverRetry = message.retry;
+        let data = message.data;
+        if (json) {
+            try { data = JSON.parse(data); } catch (e) {}
+        }
+        const e = { type: message.event, data, raw: message.data, lastEventId };
+        if (verbose) log("debug", "SSE message", message.event, '[SANITIZED]');
+        if (message.event === "message") onMessage?.(e);
+        events[message.event]?.(e);
+    };
+
+    const scheduleReconnect = (err) => {
+        if (autoReconnect && retryCount < reconnectRetries) {
+            retryCount++;
+            const delay = (serverRetry ?? reconnectDelay) * Math.pow(2, retryCount - 1);
+            readyState = SSEClient.CONNECTING;
+            log("info", `SSE reconnect attempt ${retryCount}/${reconnectRetries} in ${delay}ms`);
+            timer = setTimeout(connect, delay);
         } else {
-            log("warn", "WS sendMessage: socket not open");
+            readyState = SSEClient.CLOSED;
+            onReconnectFail?.(err);
         }
     };
 
-    ws.reconnect = () => {
-        isClosedIntentionally = false;
-        retryCount = 0;
-        try { ws.close(); } catch(e){}
-        init();
+    const connect = async () => {
+        const gen = ++generation;
+        controller = new AbortController();
+        readyState = SSEClient.CONNECTING;
+        const requestHeaders = { ...headers };
+        if (lastEventId) requestHeaders["Last-Event-ID"] = lastEventId;
+
+        let error = null;
+        try {
+            const stream = await RESTClient("GET", url, {
+                headers: requestHeaders, stream: "sse", signal: controller.signal,
+                credentials: withCredentials ? "include" : "same-origin", logger
+            });
+            if (gen !== generation) return;
+            readyState = SSEClient.OPEN;
+            retryCount = 0;
+            if (verbose) log("info", "SSE open", url);
+            onOpen?.();
+            for await (const message of stream) {
+                if (gen !== generation) return;
+                dispatch(message);
+            }
+            if (verbose) log("warn", "SSE stream ended by server");
+        } catch (err) {
+            if (gen !== generation || isClosedIntentionally) return;
+            error = err;
+            log("error", "SSE error", err);
+            onError?.(err);
+        }
+        if (gen !== generation || isClosedIntentionally) return;
+        onClose?.();
+        scheduleReconnect(error);
     };
 
-    ws.closeIntentionally = () => {
-        isClosedIntentionally = true;
-        try { ws.close(); } catch(e){}
+    const stop = () => {
+        generation++;
+        clearTimeout(timer);
+        if (controller) controller.abort();
     };
 
-    return ws;
+    connect();
+
+    return {
+        get readyState() { return readyState; },
+        get lastEventId() { return lastEventId; },
+        close: () => {
+            isClosedIntentionally = true;
+            stop();
+            readyState = SSEClient.CLOSED;
+            onClose?.();
+        },
+        reconnect: () => {
+            isClosedIntentionally = false;
+            retryCount = 0;
+            stop();
+            connect();
+        },
+    };
 };
 
+SSEClient.CONNECTING = 0;
+SSEClient.OPEN = 1;
+SSEClient.CLOSED = 2;
+
 function $dom(selector, context = $doc) {
     if (typeof selector === "string") {
         return Array.from(context.querySelectorAll(selector));
@@ -686,20 +3364,149 @@ function $dom(selector, context = $doc) {
     return [];
 }
 
-const $h = (route, callback) => {
+// Path (plus query) the router should match: the hash in 'hash' mode, the pathname minus base in 'history' mode.
+const _routerBase = () => (yokto.config.routerBase || '').replace(/\/+$/, '');
+
+const _currentRoute = () => {
+    if (yokto.config.routerMode !== 'history') return $loc.hash.replace(/^#/, '') || '/';
+    const base = _routerBase();
+    let path = $loc.pathname;
+    if (base && (path === base || path.startsWith(base + '/'))) path = path.slice(base.length);
+    return (path || '/') + $loc.search;
+};
+
+// Navigation bookkeeping: every navigation gets an id, so guards/loaders of a superseded one can bail out.
+let navigationId = 0;
+let currentNavigation = null; // { entry, to }
+let restoringRoute = null; // Route being restored after a cancelled hash navigation
+
+const _restoreRoute = (full) => {
+    if (yokto.config.routerMode === 'history') {
+        $win.history.replaceState(null, '', _routerBase() + full);
+    } else {
+        restoringRoute = full;
+        $loc.replace('#' + full);
+    }
+};
+
+const _handleRoute = async () => {
     const logger = yokto.defaultLogger || defaultLogger;
-    const routes = $h.routes || ($h.routes = new Map());
     const log = (lvl, ...args) => logger[lvl](...args);
+    const routes = $h.routes || new Map();
+    const id = ++navigationId;
+    const isStale = () => id !== navigationId;
+
+    const full = _currentRoute();
+    if (restoringRoute !== null) {
+        const restored = restoringRoute === full;
+        restoringRoute = null;
+        if (restored) return;
+    }
 
-    if (typeof route === 'function') {
-        $h.defaultRoute = route;
-        return;
+    const [path, queryStr] = full.split('?');
+    const query = {};
+    if (queryStr) {
+        new URLSearchParams(queryStr).forEach((value, key) => {
+            query[key] = value;
+        });
     }
 
-    if (typeof route !== 'string' || typeof callback !== 'function') {
-        throw new Error('Invalid route or callback');
+    let entry = null;
+    let to = null;
+    for (const [routeKey, route] of routes) {
+        const match = path.match(route.regex);
+        if (match) {
+            const params = {};
+            route.paramNames.forEach((name, i) => {
+                params[name] = _decodeParam(match[i + 1]);
+            });
+            entry = route;
+            to = { path, params, query, name: route.name, route: routeKey, fullPath: full };
+            log('debug', `Route matched: ${routeKey}`, { path, params, query });
+            break;
+        }
+    }
+
+    const callback = entry ? entry.callback : $h.defaultRoute;
+    if (!entry) {
+        if (!callback) return;
+        to = { path, params: {}, query, fullPath: full };
+        log('debug', 'Default route triggered', { path, query });
+    }
+
+    const from = currentNavigation ? currentNavigation.to : null;
+    const leaving = currentNavigation ? currentNavigation.entry : null;
+    const guards = [
+        ...(from ? [leaving?.beforeLeave, ...$h.guards.beforeLeave] : []),
+        ...$h.guards.beforeEnter,
+        entry?.beforeEnter
+    ].filter(Boolean);
+
+    let data;
+    try {
+        // A guard returns false to cancel, a route (string or { name, params, query }) to redirect.
+        for (const guard of guards) {
+            const result = await guard(to, from);
+            if (isStale()) return;
+            if (result === false) {
+                log('debug', `Navigation to ${full} cancelled`);
+                if (from) _restoreRoute(from.fullPath);
+                return;
+            }
+            if (result && result !== true) {
+                log('debug', `Navigation to ${full} redirected`, result);
+                $a(result, { replace: true });
+                return;
+            }
+        }
+        if (entry?.load) {
+            data = await entry.load(to);
+            if (isStale()) return;
+        }
+    } catch (err) {
+        if (!isStale()) log('error', `Navigation to ${full} failed`, err);
+        return;
     }
 
+    currentNavigation = { entry, to };
+    n(() => {
+        if (isStale()) return;
+        try { yokto.clearCache(); } catch(e){}
+        if (entry?.chain) {
+            _renderChain(entry.chain, { path, params: to.params, query, data });
+        } else {
+            renderedSegments = [];
+            callback({ path, params: to.params, query, data });
+        }
+    });
+};
+
+// In history mode, same-origin <a> clicks navigate through $a unless the link opts out with data-no-route.
+const _interceptLinks = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const link = e.target && e.target.closest ? e.target.closest('a[href]') : null;
+    if (!link || link.hasAttribute('data-no-route') || link.hasAttribute('download')) return;
+    if (link.target && link.target !== '_self') return;
+
+    const url = new URL(link.href, $loc.href);
+    if (url.origin !== $loc.origin) return;
+    // Pure in-page anchors keep their native behaviour.
+    if (url.hash && url.pathname === $loc.pathname && url.search === $loc.search) return;
+
+    const base = _routerBase();
+    if (base && url.pathname !== base && !url.pathname.startsWith(base + '/')) return;
+
+    e.preventDefault();
+    $a(url.pathname.slice(base.length) + url.search);
+};
+
+// Params are matched on the encoded path ($h.url encodes them); malformed escapes are kept as they are.
+const _decodeParam = (value) => {
+    try { return decodeURIComponent(value); } catch (e) { return value; }
+};
+
+// Compiles a route pattern (':param' segments, '*' wildcards) to an anchored RegExp.
+const _compileRoute = (route) => {
     const paramNames = [];
     const regexStr = route
         .replace(/\/:([^\/]+)/g, (_, name) => {
@@ -709,63 +3516,210 @@ const $h = (route, callback) => {
         .replace(/\//g, '\\/')
         .replace(/\./g, '\\.')
         .replace(/\*/g, '.*');
-    const regex = new RegExp(`^${regexStr}$`);
-
-    routes.set(route, { regex, callback, paramNames });
-    log('info', `Registered route: ${route}`);
-
-    const handleHash = () => {
-        const hash = $loc.hash.replace(/^#/, '') || '/';
-        const [path, queryStr] = hash.split('?');
-        const query = {};
-        if (queryStr) {
-            new URLSearchParams(queryStr).forEach((value, key) => {
-                query[key] = value;
-            });
-        }
+    return { regex: new RegExp(`^${regexStr}$`), paramNames };
+};
 
-        let matched = false;
-        for (const [routeKey, { regex: r, callback: cb, paramNames: pn }] of routes) {
-            const match = path.match(r);
-            if (match) {
-                const params = {};
-                pn.forEach((name, i) => {
-                    params[name] = match[i + 1];
-                });
-                n(() => {
-                    try { yokto.clearCache(); } catch(e){}
-                    cb({ path, params, query });
-                });
-                log('debug', `Route matched: ${routeKey}`, { path, params, query });
-                matched = true;
-                break;
-            }
-        }
-
-        if (!matched && $h.defaultRoute) {
-            n(() => {
-                try { yokto.clearCache(); } catch(e){}
-                $h.defaultRoute({ path, params: {}, query });
-            });
-            log('debug', 'Default route triggered', { path, query });
+/* ------------------------------------------------------------------
+ * Nested routes: a parent callback returns a layout vNode holding a [data-outlet] element,
+ * child callbacks render into that outlet. Only segments that changed are re-rendered.
+ * ------------------------------------------------------------------ */
+
+// Expands a route with `children` into [fullPattern, chain] pairs, chain being the segments root -> leaf.
+const _flattenRoutes = (route, callback, options, parents = []) => {
+    const segment = { route, callback, options, paramNames: _compileRoute(route).paramNames };
+    const chain = [...parents, segment];
+    const flat = [];
+    (options.children || []).forEach(({ path = '', callback: cb, ...childOptions }) => {
+        const pattern = (route.replace(/\/+$/, '') + path) || '/';
+        flat.push(..._flattenRoutes(pattern, cb, childOptions, chain));
+    });
+    // An index child ('' path) takes the parent's own pattern.
+    if (!flat.some(([pattern]) => pattern === route)) flat.push([route, chain]);
+    return flat;
+};
+
+const _chainGuards = (chain, kind) => {
+    const guards = chain.map(segment => segment.options[kind]).filter(Boolean);
+    if (!guards.length) return undefined;
+    return async (to, from) => {
+        for (const guard of guards) {
+            const result = await guard(to, from);
+            if (result !== undefined && result !== true) return result;
         }
     };
+};
+
+const _findOutlet = vNode => {
+    if (!vNode || !vNode.$) return null;
+    const elem = vNode.$.node;
+    const outlet = elem.matches && elem.matches('[data-outlet]') ? elem : elem.querySelector('[data-outlet]');
+    return outlet ? _toVNode(outlet) : null;
+};
+
+let renderedSegments = []; // [{ segment, params, query, outlet }]
+
+// Empties an outlet, releasing the listeners, bindings and components of the view it held.
+const _clearOutlet = outlet => {
+    _flushNode(outlet.$.node);
+    outlet.$.node.querySelectorAll('*').forEach(_destroy);
+    sync(() => { outlet.text = ''; });
+};
+
+const _renderChain = (chain, ctx) => {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const ownParams = segment => Object.fromEntries(segment.paramNames.map(k => [k, ctx.params[k]]));
+    const leafIndex = chain.length - 1;
+
+    // Keep every leading segment whose definition and params are unchanged (the leaf also needs the same query).
+    let keep = 0;
+    while (keep < chain.length && keep < renderedSegments.length &&
+           renderedSegments[keep].segment === chain[keep] &&
+           same(renderedSegments[keep].params, ownParams(chain[keep])) &&
+           (keep < leafIndex || same(renderedSegments[keep].query, ctx.query))) {
+        keep++;
+    }
+    renderedSegments = renderedSegments.slice(0, keep);
+
+    // Navigated up to a kept ancestor: empty its outlet.
+    if (keep === chain.length) {
+        const outlet = renderedSegments[keep - 1]?.outlet;
+        if (outlet) _clearOutlet(outlet);
+        return;
+    }
+
+    for (let i = keep; i < chain.length; i++) {
+        const parentOutlet = i > 0 ? renderedSegments[i - 1]?.outlet : null;
+        if (i > 0 && !parentOutlet) {
+            (yokto.defaultLogger || defaultLogger).warn(`Route ${chain[i - 1].route} rendered no [data-outlet] for ${chain[i].route}`);
+            break;
+        }
+        // Cleared right away: the callback may fill the outlet through $.node
+        if (parentOutlet) _clearOutlet(parentOutlet);
+        const result = chain[i].callback({ ...ctx, outlet: parentOutlet });
+        if (parentOutlet && result && result.$ && !result.$.isConnected) _(result, parentOutlet);
+        renderedSegments.push({ segment: chain[i], params: ownParams(chain[i]), query: ctx.query, outlet: _findOutlet(result) });
+    }
+};
+
+/**
+ * Registers a route.
+ * @param {string|Function} route - Route pattern (supports :params and *), or a default/404 callback
+ * @param {Function} callback - Called with { path, params, query, data }
+ * @param {object} [options] - { name, beforeEnter(to, from), beforeLeave(to, from), load(to), children }
+ *   `children` is an array of { path, callback, ...options } rendered into the layout's [data-outlet].
+ */
+const $h = (route, callback, options = {}) => {
+    const logger = yokto.defaultLogger || defaultLogger;
+    const routes = $h.routes || ($h.routes = new Map());
+    const log = (lvl, ...args) => logger[lvl](...args);
+
+    if (typeof route === 'function') {
+        $h.defaultRoute = route;
+        return;
+    }
+
+    if (typeof route !== 'string' || typeof callback !== 'function') {
+        throw new Error('Invalid route or callback');
+    }
+
+    if (options.children) {
+        _flattenRoutes(route, callback, options).forEach(([pattern, chain]) => {
+            const leaf = chain[chain.length - 1];
+            const { regex, paramNames } = _compileRoute(pattern);
+            routes.set(pattern, {
+                regex, paramNames, chain,
+                callback: leaf.callback,
+                name: leaf.options.name,
+                load: leaf.options.load,
+                beforeEnter: _chainGuards(chain, 'beforeEnter'),
+                beforeLeave: _chainGuards(chain, 'beforeLeave')
+            });
+            log('info', `Registered route: ${pattern}`);
+        });
+    } else {
+        const { regex, paramNames } = _compileRoute(route);
+        const { name, beforeEnter, beforeLeave, load } = options;
+        routes.set(route, { regex, callback, paramNames, name, beforeEnter, beforeLeave, load });
+        log('info', `Registered route: ${route}`);
+    }
 
     if (!$h.initialized) {
-        $win.addEventListener('hashchange', handleHash, { passive: true });
-        $$(handleHash); // Run on DOM ready
+        if (yokto.config.routerMode === 'history') {
+            $win.addEventListener('popstate', _handleRoute);
+            $doc.addEventListener('click', _interceptLinks);
+        } else {
+            $win.addEventListener('hashchange', _handleRoute, { passive: true });
+        }
+        $$(_handleRoute); // Run on DOM ready
         $h.initialized = true;
-        log('info', 'Hash router initialized');
+        log('info', `Router initialized (${yokto.config.routerMode === 'history' ? 'history' : 'hash'} mode)`);
+    }
+};
+
+$h.guards = { beforeEnter: [], beforeLeave: [] };
+
+/** Registers a global guard run before every route's own beforeEnter. Returns a function removing it. */
+$h.beforeEnter = fn => _register($h.guards.beforeEnter, fn);
+
+/** Registers a global guard run when leaving any route. Returns a function removing it. */
+$h.beforeLeave = fn => _register($h.guards.beforeLeave, fn);
+
+/**
+ * Removes a route by pattern or by name.
+ * @returns {boolean} - Whether a route was removed
+ */
+$h.off = (route) => {
+    const routes = $h.routes || new Map();
+    let removed = false;
+    for (const [key, entry] of routes) {
+        // Removing a parent route also removes the nested routes registered under it.
+        if (key === route || (entry.name && entry.name === route) || entry.chain?.some(segment => segment.route === route)) {
+            removed = routes.delete(key) || removed;
+        }
     }
+    return removed;
 };
 
-const $a = route => {
+/**
+ * Builds the path of a named route.
+ * @param {{name: string, params?: object, query?: object}} target - The named route and its params/query
+ * @returns {string} - The path, e.g. '/users/5?tab=info'
+ */
+$h.url = ({ name, params = {}, query } = {}) => {
+    const found = [...($h.routes || new Map())].find(([, entry]) => entry.name === name);
+    if (!found) throw new Error(`Unknown route name: ${name}`);
+    const path = found[0].replace(/:([^\/]+)/g, (_, key) => {
+        if (params[key] === undefined || params[key] === null) throw new Error(`Missing param "${key}" for route ${name}`);
+        return encodeURIComponent(params[key]);
+    });
+    const qs = __(query) ? new URLSearchParams(query).toString() : '';
+    return qs ? `${path}?${qs}` : path;
+};
+
+/**
+ * Navigates to a route: sets location.hash in hash mode, pushes a history entry in history mode.
+ * @param {string|object} route - The route path, optionally with a query string, or { name, params, query }
+ * @param {object} [opts] - { replace: true } replaces the current entry instead of adding one
+ */
+const $a = (route, opts = {}) => {
+    if (__(route)) route = $h.url(route);
     const ec = '/'.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const re = new RegExp(`^[${ec}]+|[${ec}]+$`, 'g');
     route = route.replace(re, '');
     if ( ! route.startsWith('/') ) { route = '/' + route };
-    $loc.hash = route
-}
+
+    if (yokto.config.routerMode === 'history') {
+        const url = _routerBase() + route;
+        opts.replace ? $win.history.replaceState(null, '', url) : $win.history.pushState(null, '', url);
+        _handleRoute(); // pushState/replaceState do not fire popstate
+        return;
+    }
+    if (opts.replace) {
+        $loc.replace('#' + route);
+    } else {
+        $loc.hash = route;
+    }
+};
 
 /* ------------------------------------------------------------------
  * Exports: attach to yokto and window in a controlled, valid way
@@ -776,6 +3730,22 @@ yokto.__ = __;
 yokto._$ = _$;
 yokto.$v = $v;
 yokto._ = _;
+yokto.render = render;
+yokto.signal = signal;
+yokto.computed = computed;
+yokto.effect = effect;
+yokto.renderToString = renderToString;
+yokto.hydrate = hydrate;
+yokto.component = component;
+yokto.define = define;
+yokto.html = html;
+yokto.sanitize = sanitize;
+yokto.form = form;
+yokto.flush = flush;
+yokto.nextTick = nextTick;
+yokto.measure = measure;
+yokto.mutate = mutate;
+yokto.sync = sync;
 yokto.$c = $c;
 yokto.$s = $s;
 yokto.$h = $h;
@@ -786,16 +3756,22 @@ yokto.$loc = $loc;
 yokto.$a = $a;
 
 yokto.RESTClient = RESTClient;
+yokto.HTTPError = HTTPError;
 yokto.RESTAdapter = RESTAdapter;
+yokto.authRefresh = authRefresh;
 yokto.GraphQLClient = GraphQLClient;
 yokto.GraphQLAdapter = GraphQLAdapter;
+yokto.GraphQLError = GraphQLError;
+yokto.RPCError = RPCError;
+yokto.GraphQLCache = GraphQLCache;
 yokto.WSClient = WSClient;
+yokto.SSEClient = SSEClient;
 yokto.Logger = Logger;
 yokto.defaultLogger = defaultLogger;
 
 yokto.clearCache = () => _$.clear();
 
-if (typeof $win !== "undefined") {
+if (hasDOM) {
     $win.yokto = yokto;
     // also expose common helpers to window for convenience
     $win.$ = $;
@@ -807,3 +3783,7 @@ if (typeof $win !== "undefined") {
     $win.$h = $h;
     $win.$a = $a;
 }
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = yokto;
+}